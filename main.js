@@ -1,8 +1,9 @@
 /**
  * Element Snatch CSS
  * Ctrl + Shift + Middle-click opens a Menu listing ancestors from <body> down to the clicked element.
- * Hovering a menu item highlights its element. Clicking generates nested CSS from that element
- * (including all descendants) and copies it to the clipboard..
+ * Hovering a menu item highlights its element. Clicking previews nested CSS for that element
+ * (including all descendants) with its options, then copies it to the clipboard..
+ * Trigger gestures, limits and output defaults are configurable in the settings tab.
  *
  * No execCommand fallback is used for clipboard.
  */
@@ -11,15 +12,893 @@
 // #region __Inits
 // @ts-check
 const Obsidian = require("obsidian");
-const { Plugin, Menu, Notice } = Obsidian;
+const { Plugin, PluginSettingTab, Setting, Modal, FuzzySuggestModal, ItemView, Menu, Notice, Platform, normalizePath, setIcon, debounce } = Obsidian;
 // @ts-ignore
 const Electron = require("electron");
+const { EditorState } = require("@codemirror/state");
+const { EditorView, Decoration, MatchDecorator, ViewPlugin, keymap, lineNumbers } = require("@codemirror/view");
+const { foldService, foldGutter, foldKeymap } = require("@codemirror/language");
 // #endregion __Inits
 
 // #region __Typedefs
 /** @typedef {import("obsidian").MenuItem} MenuItem */
+/** @typedef {{button: number, mod: boolean, shift: boolean, alt: boolean}} MouseTrigger */
+/** @typedef {"clipboard" | "snippet"} OutputTarget */
+/** @typedef {"nested" | "flat" | "scss" | "json" | "markdown"} OutputFormat */
+/** @typedef {"" | "shadow" | "iframe"} Boundary Boundary crossed between an element and its parent. */
+/**
+ * One node of the tree built by _css; grouped siblings share a node with count > 1.
+ * variants lists how fuzzily grouped siblings differ from the shared selector, with counts.
+ * path entries after a shadow-root or frame boundary start with its marker.
+ * @typedef {{
+ *   selector: string,
+ *   path: string[],
+ *   boundary: Boundary,
+ *   tag: string,
+ *   id: string,
+ *   classes: string[],
+ *   attributes: Record<string, string>,
+ *   texts: string[],
+ *   states: string,
+ *   computed: [string, string][],
+ *   pseudos: [string, string][],
+ *   interactions: InteractionRule[],
+ *   variants: [string, number][],
+ *   count: number,
+ *   children: SnatchNode[]
+ * }} SnatchNode
+ */
+/**
+ * A rule with :hover/:focus/:active that applies to an element in that state.
+ * test is the selector with the state pseudo-classes neutralised, for el.matches().
+ * @typedef {{
+ *   states: string[],
+ *   selector: string,
+ *   test: string,
+ *   source: string
+ * }} InteractionRule
+ */
+/**
+ * Renders a SnatchNode tree to text. scaffold comments out the content declarations, for
+ * snippets that are enabled as they are written.
+ * @typedef {{
+ *   name: string,
+ *   css: boolean,
+ *   format: (tree: SnatchNode, opts: {indent: string, truncated: boolean, owners?: SnatchNode[], scaffold?: boolean}) => string
+ * }} Formatter
+ * When owners is given, format pushes the node each output line belongs to, one entry per line.
+ */
+/**
+ * A saved capture. selector finds the element again (the clicked element for Path captures);
+ * rootSelector is the chosen ancestor of a Path capture. redacted is set when the capture was
+ * redacted and its selectors had to be too, so they no longer find the element.
+ * @typedef {{
+ *   id: string,
+ *   time: number,
+ *   mode: "css" | "path",
+ *   format?: OutputFormat,
+ *   selector: string,
+ *   rootSelector?: string,
+ *   label: string,
+ *   text: string,
+ *   pinned: boolean,
+ *   redacted?: boolean
+ * }} HistoryEntry
+ */
+/**
+ * What redaction replaces in captured output: text content, attribute values holding vault paths,
+ * label-like attribute values (aria-label, title...) and the contents of editor and preview bodies.
+ * salt is mixed into the hashes of one capture, so that hashed names cannot be looked up.
+ * @typedef {{text: boolean, paths: boolean, labels: boolean, bodies: boolean, salt?: string}} RedactFields
+ */
+/** @typedef {typeof DEFAULT_SETTINGS} ElementSnatchSettings */
+/** @typedef {InstanceType<typeof import("./main")>} ElementSnatchCssPlugin */
+/** @typedef {{state: RegExp[], generated: RegExp[], keep: RegExp[]}} ClassRules */
+/**
+ * A style rule found while walking document.styleSheets.
+ * @typedef {{
+ *   rule: CSSStyleRule,
+ *   sheet: CSSStyleSheet,
+ *   conditions: string[],
+ *   active: boolean,
+ *   order: number
+ * }} StyleRuleEntry
+ */
+/**
+ * A custom property referenced by an element's matched rules, resolved at the element.
+ * @typedef {{
+ *   name: string,
+ *   value: string,
+ *   selector: string,
+ *   source: string
+ * }} VariableInfo
+ */
+/**
+ * A rule matching an element, with the most specific matching selector of its list.
+ * @typedef {{
+ *   selector: string,
+ *   spec: [number, number, number],
+ *   source: string,
+ *   conditions: string[],
+ *   layered: boolean,
+ *   order: number,
+ *   cssText: string,
+ *   declarations: string
+ * }} MatchedRule
+ */
+/**
+ * Options shared by the selector builders.
+ * @typedef {{
+ *   useIds?: boolean,
+ *   useClasses?: boolean,
+ *   includeTagIfNoClasses?: boolean,
+ *   includeNthChild?: boolean,
+ *   attributes?: string[],
+ *   attributePrefix?: boolean
+ * }} SelectorOptions
+ */
+/**
+ * Options of {@link _css}; the selector options apply to every node of the tree. isCancelled
+ * stops a capture silently, e.g. when the preview starts a newer one.
+ * @typedef {SelectorOptions & {
+ *   indent?: string,
+ *   maxDepth?: number,
+ *   maxNodes?: number,
+ *   maxTextLength?: number,
+ *   listStateClasses?: boolean,
+ *   computedStyles?: boolean,
+ *   pseudoElements?: boolean,
+ *   interactionStates?: boolean,
+ *   crossBoundaries?: boolean,
+ *   siblingGrouping?: "exact" | "fuzzy",
+ *   format?: OutputFormat,
+ *   target?: OutputTarget,
+ *   skipTags?: Set<string>,
+ *   redact?: RedactFields | null,
+ *   isVaultPath?: (value: string) => boolean,
+ *   isCancelled?: () => boolean
+ * }} CssOptions
+ */
+/**
+ * A rendered CSS tree. lines holds, per output line, the elements of the node it belongs to;
+ * indent and redact the indent and fields it was rendered with.
+ * @typedef {{
+ *   text: string,
+ *   format: OutputFormat,
+ *   formatter: Formatter,
+ *   tree: SnatchNode | null,
+ *   truncated: boolean,
+ *   lines: (HTMLElement[] | undefined)[],
+ *   indent: string,
+ *   redact: RedactFields | null
+ * }} CssRender
+ */
+/**
+ * One node of a structure snapshot: a SnatchNode without text, styles and notes.
+ * @typedef {{
+ *   tag: string,
+ *   id: string,
+ *   classes: string[],
+ *   attributes: Record<string, string>,
+ *   selector: string,
+ *   boundary?: Boundary,
+ *   count: number,
+ *   children: SnapshotNode[]
+ * }} SnapshotNode
+ */
+/**
+ * Versions a snapshot was taken with: Obsidian's API version, the theme and enabled plugins.
+ * @typedef {{
+ *   obsidian: string,
+ *   theme: string,
+ *   plugins: Record<string, string>
+ * }} SnapshotEnvironment
+ */
+/**
+ * Selector and limit settings a snapshot was captured with, reused when comparing so that a
+ * settings change does not show up as structural changes. maxDepth 0 means no limit.
+ * @typedef {{
+ *   useIds: boolean,
+ *   useClasses: boolean,
+ *   includeNthChild: boolean,
+ *   attributes: string[],
+ *   crossBoundaries: boolean,
+ *   maxDepth: number,
+ *   maxNodes: number,
+ *   skipTags: string[]
+ * }} SnapshotOptions
+ */
+/**
+ * A structure snapshot as stored in the vault. selector finds the root again. Version 1
+ * snapshots have no options and are compared with the current settings.
+ * @typedef {{
+ *   version: number,
+ *   label: string,
+ *   selector: string,
+ *   time: string,
+ *   environment: SnapshotEnvironment,
+ *   options?: SnapshotOptions,
+ *   truncated: boolean,
+ *   tree: SnapshotNode
+ * }} Snapshot
+ */
+/**
+ * One difference between a snapshot and the current structure. path is the node's path in the
+ * snapshot (in the current structure for added nodes); to is its current path when it moved.
+ * @typedef {{
+ *   kind: "moved" | "classes" | "changed" | "removed" | "added",
+ *   path: string,
+ *   to?: string,
+ *   detail: string
+ * }} StructureChange
+ */
+/**
+ * One selector of a snippet or theme rule, with how many elements it matches in the open windows
+ * (-1 when invalid) and, when it matches none, the classes it needs that no element has.
+ * @typedef {{
+ *   source: string,
+ *   file: string,
+ *   line: number,
+ *   selector: string,
+ *   count: number,
+ *   missing: string[]
+ * }} SelectorAuditEntry
+ */
+/**
+ * State of an active keyboard picker session.
+ * @typedef {{
+ *   mode: "css" | "path",
+ *   win: Window,
+ *   el: HTMLElement,
+ *   trail: HTMLElement[],
+ *   index: number,
+ *   label: HTMLElement,
+ *   onMove: (e: MouseEvent) => void,
+ *   onDown: (e: MouseEvent) => void,
+ *   onKey: (e: KeyboardEvent) => void,
+ *   onPick?: (el: HTMLElement | null) => void
+ * }} PickerState
+ */
+/**
+ * Payload of the "element-snatch:captured" workspace event.
+ * @typedef {{
+ *   mode: "css" | "path",
+ *   element: HTMLElement,
+ *   output: string,
+ *   root?: HTMLElement,
+ *   format?: OutputFormat
+ * }} CaptureEvent
+ */
+/**
+ * Plugin API for other plugins, at app.plugins.plugins["element-snatch-css"].api. Options default
+ * to the user's settings. version goes up when a member changes incompatibly. query and
+ * highlight return an empty array for an invalid selector instead of throwing.
+ * @typedef {{
+ *   version: number,
+ *   events: {captured: string},
+ *   selectorFor: (el: HTMLElement, options?: SelectorOptions) => string,
+ *   uniqueSelectorFor: (el: HTMLElement) => string,
+ *   pathsBetween: (ancestor: HTMLElement, target: HTMLElement, options?: SelectorOptions) => {descendant: string, child: string},
+ *   css: (el: HTMLElement, options?: CssOptions) => Promise<string | null>,
+ *   query: (selector: string, doc?: Document) => HTMLElement[],
+ *   highlight: (target: HTMLElement | string, duration?: number) => HTMLElement[],
+ *   unhighlight: () => void,
+ *   pick: () => Promise<HTMLElement | null>
+ * }} SnatchApi
+ */
 // #endregion __Typedefs
 
+// #region __Settings
+/**
+ * Default plugin settings. Persisted via loadData/saveData; missing keys fall back to these.
+ */
+const DEFAULT_SETTINGS = {
+	/** @type {MouseTrigger} Gesture that opens the CSS menu (Ctrl/Cmd + Middle). */
+	cssTrigger: { button: 1, mod: true, shift: false, alt: false },
+	/** @type {MouseTrigger} Gesture that opens the Path menu (Ctrl/Cmd + Shift + Middle). */
+	pathTrigger: { button: 1, mod: true, shift: true, alt: false },
+	/** Maximum number of nodes rendered by the CSS tree before truncating. */
+	maxNodes: 50000,
+	/** Maximum depth below the chosen element; 0 means unlimited. */
+	maxDepth: 0,
+	/** Indent unit for the nested CSS output. */
+	indent: "\t",
+	useIds: true,
+	useClasses: true,
+	includeNthChild: false,
+	/** Text-node content longer than this is cut and suffixed with "...". */
+	maxTextLength: 50,
+	/** Comma-separated tag names that the CSS tree skips. */
+	skipTags: "SCRIPT, STYLE, TEMPLATE",
+	/** Regex per line; matching classes are transient UI state and left out of selectors. */
+	stateClassPatterns: [
+		"^is-(active|collapsed|selected|focused|flashing|being-dragged|being-renamed|hovered|loading|open|enabled|disabled|checked|invalid)$",
+		"^has-(focus|active-menu|active-menu-item)$",
+		"^mod-(active|focused)$",
+		"^cm-(focused|activeLine|activeLineGutter|selectionMatch)$"
+	].join("\n"),
+	/** Regex per line; matching classes are generated names (CodeMirror 6 "ͼ1") and dropped silently. */
+	generatedClassPatterns: "^\u037c",
+	/** Regex per line; matching classes are always kept, even when another pattern matches. */
+	keepClassPatterns: "",
+	/** List stripped state classes as comments in the CSS tree, e.g. "/* state: is-active *\/". */
+	listStateClasses: true,
+	/** Add the first present attribute from attributePriority to selectors. */
+	useAttributes: true,
+	/** Attribute names, one per line, in priority order. */
+	attributePriority: ["data-type", "data-path", "data-callout", "data-task", "data-property-key", "aria-label"].join("\n"),
+	/** Emit commented-out computed style declarations in the CSS tree. */
+	computedStyles: false,
+	/** Emit ::before/::after/::marker/::placeholder blocks in the CSS tree. */
+	pseudoElements: true,
+	/** List the :hover/:focus/:active rules that apply to each element in the CSS tree. */
+	interactionStates: false,
+	/** Descend into open shadow roots and same-origin frames in the CSS tree. */
+	crossBoundaries: true,
+	/** @type {"exact" | "fuzzy"} How siblings are folded into one block of the CSS tree. */
+	siblingGrouping: "exact",
+	/** @type {OutputTarget} Where menu clicks send their output. */
+	outputTarget: "clipboard",
+	/** @type {OutputFormat} Format of the CSS menu's output. */
+	outputFormat: "nested",
+	/** Name known Obsidian structures in menus ("Leaf: markdown — Notes/Todo.md") instead of their selector. */
+	friendlyLabels: true,
+	/** Guess which community plugin styles an element from the classes in each plugin's styles.css. */
+	guessOwners: true,
+	/** Clicking an ancestor in the CSS menu opens the preview; Alt/Option skips it. */
+	previewBeforeCopy: true,
+	/** Snippet file name (without .css) in the vault's snippets folder. */
+	snippetName: "element-snatch",
+	/** @type {"append" | "replace"} How output is written into the snippet file. */
+	snippetMode: "append",
+	/** @type {"ask" | "always" | "never"} Whether to enable the snippet after writing when it is disabled. */
+	snippetEnable: "ask",
+	/** Redact vault content in every capture; single captures can be redacted from the menus and preview. */
+	redactOutput: false,
+	/** @type {RedactFields} What redaction replaces. */
+	redactFields: { text: true, paths: true, labels: true, bodies: true },
+	/** Unpinned history entries kept; 0 turns history off. */
+	historyLimit: 50,
+	/** Vault folder for structure snapshots, their diff notes and selector audit reports. */
+	snapshotFolder: "Element snapshots",
+	/** Audit the active theme's selectors along with the enabled snippets. */
+	auditTheme: false,
+	/** Selectors matching at least this many elements are listed as broad by the audit. */
+	auditBroadMatches: 200
+};
+
+/** Most classes two siblings may differ by and still be folded by fuzzy grouping. */
+const FUZZY_CLASS_DIFF = 2;
+
+/** Version of the plugin API; see {@link SnatchApi}. */
+const API_VERSION = 1;
+
+/** Workspace event triggered after every capture, with a {@link CaptureEvent}. */
+const EVENT_CAPTURED = "element-snatch:captured";
+
+/** Action of obsidian://element-snatch links, and what they can do with the element. */
+const LINK_ACTION = "element-snatch";
+const LINK_ACTIONS = ["highlight", "css", "path"];
+
+/** View type of the snatch history sidebar. */
+const VIEW_TYPE_HISTORY = "element-snatch-history";
+
+/** File in the plugin folder an earlier version kept the history in; moved back into data.json on load. */
+const HISTORY_FILE = "history.json";
+
+/** Mouse buttons offered in the settings tab, keyed by MouseEvent.button. */
+const MOUSE_BUTTONS = {
+	"0": "Left",
+	"1": "Middle",
+	"2": "Right",
+	"3": "Back",
+	"4": "Forward"
+};
+
+/** Modifier combinations offered in the settings tab. */
+const MODIFIER_COMBOS = ["mod", "mod+shift", "mod+alt", "mod+shift+alt", "alt", "alt+shift", "shift", "none"];
+
+/**
+ * Settings tab for trigger gestures, limits and output defaults.
+ */
+class ElementSnatchSettingTab extends PluginSettingTab {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {ElementSnatchCssPlugin} plugin
+	 */
+	constructor(app, plugin) {
+		super(app, plugin);
+		this.plugin = plugin;
+	}
+
+	display() {
+		const { containerEl } = this;
+		const plugin = this.plugin;
+		const s = plugin.settings;
+		containerEl.empty();
+
+		new Setting(containerEl).setName("Triggers").setHeading();
+		this._addTriggerSettings("CSS menu", "cssTrigger");
+		this._addTriggerSettings("Path menu", "pathTrigger");
+
+		new Setting(containerEl).setName("Menus").setHeading();
+		new Setting(containerEl)
+			.setName("Friendly names")
+			.setDesc("Name known Obsidian structures in the menus, such as \"Leaf: markdown — Notes/Todo.md\", \"Status bar\" or \"Editor line 12\". The selector label moves to the tooltip.")
+			.addToggle((t) => t
+				.setValue(s.friendlyLabels)
+				.onChange(async (v) => {
+					s.friendlyLabels = v;
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Guess plugin ownership")
+			.setDesc("Name the community plugin whose styles.css uses an element's classes, so you know whose CSS you are overriding. Classes that Obsidian's own app.css uses do not count.")
+			.addToggle((t) => t
+				.setValue(s.guessOwners)
+				.onChange(async (v) => {
+					s.guessOwners = v;
+					await plugin.saveSettings();
+				}));
+
+		new Setting(containerEl).setName("Limits").setHeading();
+		new Setting(containerEl)
+			.setName("Maximum nodes")
+			.setDesc("The CSS tree stops and appends a truncation comment after this many elements. "
+				+ "Large captures run in the background with a progress notice that can cancel them.")
+			.addText((t) => t
+				.setPlaceholder(String(DEFAULT_SETTINGS.maxNodes))
+				.setValue(String(s.maxNodes))
+				.onChange(async (v) => {
+					s.maxNodes = toPositiveInt(v, DEFAULT_SETTINGS.maxNodes);
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Maximum depth")
+			.setDesc("Levels below the chosen element to include. 0 means unlimited.")
+			.addText((t) => t
+				.setPlaceholder("0")
+				.setValue(String(s.maxDepth))
+				.onChange(async (v) => {
+					s.maxDepth = toPositiveInt(v, 0, true);
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Text truncation length")
+			.setDesc("Text content longer than this is shortened with \"...\".")
+			.addText((t) => t
+				.setPlaceholder(String(DEFAULT_SETTINGS.maxTextLength))
+				.setValue(String(s.maxTextLength))
+				.onChange(async (v) => {
+					s.maxTextLength = toPositiveInt(v, DEFAULT_SETTINGS.maxTextLength);
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Skipped tags")
+			.setDesc("Comma-separated tag names left out of the CSS tree.")
+			.addText((t) => t
+				.setPlaceholder(DEFAULT_SETTINGS.skipTags)
+				.setValue(s.skipTags)
+				.onChange(async (v) => {
+					s.skipTags = v;
+					await plugin.saveSettings();
+				}));
+
+		new Setting(containerEl).setName("Output target").setHeading();
+		new Setting(containerEl)
+			.setName("Default target")
+			.setDesc("Where clicking an ancestor sends its output. The actions submenu offers both targets.")
+			.addDropdown((d) => d
+				.addOptions({ clipboard: "Clipboard", snippet: "CSS snippet" })
+				.setValue(s.outputTarget)
+				.onChange(async (v) => {
+					s.outputTarget = /** @type {OutputTarget} */ (v);
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Default format")
+			.setDesc("Format of the CSS menu's output. The actions submenu offers every format. Snippets always get CSS.")
+			.addDropdown((d) => {
+				for (const [key, f] of Object.entries(FORMATTERS)) d.addOption(key, f.name);
+				d.setValue(s.outputFormat).onChange(async (v) => {
+					s.outputFormat = /** @type {OutputFormat} */ (v);
+					await plugin.saveSettings();
+				});
+			});
+		new Setting(containerEl)
+			.setName("Preview before copying")
+			.setDesc("Clicking an ancestor in the CSS menu opens a preview with its options first. Hold "
+				+ describeModifiers({ mod: false, shift: false, alt: true }) + " while clicking to send the output right away.")
+			.addToggle((t) => t
+				.setValue(s.previewBeforeCopy)
+				.onChange(async (v) => {
+					s.previewBeforeCopy = v;
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Snippet name")
+			.setDesc("File in the snippets folder of your vault's config directory; .css is added.")
+			.addText((t) => t
+				.setPlaceholder(DEFAULT_SETTINGS.snippetName)
+				.setValue(s.snippetName)
+				.onChange(async (v) => {
+					s.snippetName = v;
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Snippet write mode")
+			.addDropdown((d) => d
+				.addOptions({ append: "Append", replace: "Replace" })
+				.setValue(s.snippetMode)
+				.onChange(async (v) => {
+					s.snippetMode = /** @type {"append" | "replace"} */ (v);
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Enable snippet")
+			.setDesc("What to do when the snippet is written but not enabled.")
+			.addDropdown((d) => d
+				.addOptions({ ask: "Ask", always: "Enable automatically", never: "Leave disabled" })
+				.setValue(s.snippetEnable)
+				.onChange(async (v) => {
+					s.snippetEnable = /** @type {"ask" | "always" | "never"} */ (v);
+					await plugin.saveSettings();
+				}));
+
+		new Setting(containerEl).setName("Privacy").setHeading();
+		new Setting(containerEl)
+			.setName("Redact output")
+			.setDesc("Redact note content, titles and vault paths in every capture, for sharing snatches in bug reports or forums. When off, single captures can still be redacted with \"Copy redacted\" in the menus or the preview's Redact toggle.")
+			.addToggle((t) => t
+				.setValue(s.redactOutput)
+				.onChange(async (v) => {
+					s.redactOutput = v;
+					await plugin.saveSettings();
+				}));
+		for (const [key, [name, desc]] of Object.entries(REDACT_FIELDS)) {
+			const field = /** @type {keyof typeof REDACT_FIELDS} */ (key);
+			new Setting(containerEl)
+				.setName(name)
+				.setDesc(desc)
+				.addToggle((t) => t
+					.setValue(s.redactFields[field])
+					.onChange(async (v) => {
+						s.redactFields[field] = v;
+						await plugin.saveSettings();
+					}));
+		}
+
+		new Setting(containerEl).setName("History").setHeading();
+		new Setting(containerEl)
+			.setName("History size")
+			.setDesc("Unpinned captures kept in the history view. Pinned entries are always kept. 0 turns history off.")
+			.addText((t) => t
+				.setPlaceholder(String(DEFAULT_SETTINGS.historyLimit))
+				.setValue(String(s.historyLimit))
+				.onChange(async (v) => {
+					s.historyLimit = toPositiveInt(v, DEFAULT_SETTINGS.historyLimit, true);
+					plugin.trimHistory();
+					await plugin._saveHistory();
+				}));
+
+		new Setting(containerEl).setName("Snapshots and audits").setHeading();
+		new Setting(containerEl)
+			.setName("Snapshot folder")
+			.setDesc("Vault folder for structure snapshots (.json), the diff notes comparing them and selector audit reports.")
+			.addText((t) => t
+				.setPlaceholder(DEFAULT_SETTINGS.snapshotFolder)
+				.setValue(s.snapshotFolder)
+				.onChange(async (v) => {
+					s.snapshotFolder = v;
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Audit the theme")
+			.setDesc("Include the active theme's selectors in the selector audit, next to the enabled snippets.")
+			.addToggle((t) => t
+				.setValue(s.auditTheme)
+				.onChange(async (v) => {
+					s.auditTheme = v;
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Broad match threshold")
+			.setDesc("The selector audit lists selectors matching at least this many elements.")
+			.addText((t) => t
+				.setPlaceholder(String(DEFAULT_SETTINGS.auditBroadMatches))
+				.setValue(String(s.auditBroadMatches))
+				.onChange(async (v) => {
+					s.auditBroadMatches = toPositiveInt(v, DEFAULT_SETTINGS.auditBroadMatches);
+					await plugin.saveSettings();
+				}));
+
+		new Setting(containerEl).setName("Class filters").setHeading();
+		this._addPatternSetting("State classes",
+			"Regular expressions, one per line. Matching classes are transient UI state; they are left out of selectors and labels.",
+			"stateClassPatterns");
+		this._addPatternSetting("Generated classes",
+			"Regular expressions, one per line. Matching classes are generated names (like CodeMirror's ͼ1) and are dropped silently.",
+			"generatedClassPatterns");
+		this._addPatternSetting("Always keep",
+			"Regular expressions, one per line. Matching classes are kept even when a pattern above matches.",
+			"keepClassPatterns");
+		new Setting(containerEl)
+			.setName("List stripped state classes")
+			.setDesc("Add a /* state: is-active */ comment to CSS tree blocks whose element had state classes.")
+			.addToggle((t) => t.setValue(s.listStateClasses).onChange(async (v) => {
+				s.listStateClasses = v;
+				await plugin.saveSettings();
+			}));
+
+		new Setting(containerEl).setName("Output").setHeading();
+		new Setting(containerEl)
+			.setName("Indent")
+			.addDropdown((d) => d
+				.addOptions({ "\t": "Tab", "  ": "2 spaces", "    ": "4 spaces" })
+				.setValue(s.indent)
+				.onChange(async (v) => {
+					s.indent = v;
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Sibling grouping")
+			.setDesc("Exact folds siblings with identical structure. Fuzzy also folds siblings whose classes differ by up to "
+				+ FUZZY_CLASS_DIFF + " or that lack some children, and lists the differences as variants.")
+			.addDropdown((d) => d
+				.addOptions({ exact: "Exact", fuzzy: "Fuzzy" })
+				.setValue(s.siblingGrouping)
+				.onChange(async (v) => {
+					s.siblingGrouping = /** @type {"exact" | "fuzzy"} */ (v);
+					await plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName("Use IDs")
+			.setDesc("Use #id instead of classes when an element has an id.")
+			.addToggle((t) => t.setValue(s.useIds).onChange(async (v) => {
+				s.useIds = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("Use classes")
+			.setDesc("Build selectors from class names. When off, only tags (and IDs) are used.")
+			.addToggle((t) => t.setValue(s.useClasses).onChange(async (v) => {
+				s.useClasses = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("Use attributes")
+			.setDesc("Add the first attribute from the priority list below to selectors, e.g. [data-type=\"markdown\"].")
+			.addToggle((t) => t.setValue(s.useAttributes).onChange(async (v) => {
+				s.useAttributes = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("Attribute priority")
+			.setDesc("Attribute names, one per line, most preferred first. The Path menu also copies a prefix form "
+				+ "(e.g. [data-path^=\"Projects/\"]) for path-like values; the CSS tree uses the prefix form so rows of one folder group together.")
+			.addTextArea((t) => {
+				t.inputEl.rows = 6;
+				t.setValue(s.attributePriority).onChange(async (v) => {
+					s.attributePriority = v;
+					await plugin.saveSettings();
+				});
+			});
+		new Setting(containerEl)
+			.setName("Include computed styles")
+			.setDesc("Add each element's meaningful computed styles to the CSS tree as commented-out declarations. "
+				+ "Only layout, colour, typography and spacing properties that differ from the parent (inherited ones) "
+				+ "or from the tag's defaults are listed.")
+			.addToggle((t) => t.setValue(s.computedStyles).onChange(async (v) => {
+				s.computedStyles = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("Include pseudo-elements")
+			.setDesc("Add &::before, &::after, &::marker and &::placeholder blocks with their generated content to the CSS tree.")
+			.addToggle((t) => t.setValue(s.pseudoElements).onChange(async (v) => {
+				s.pseudoElements = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("List interaction-state rules")
+			.setDesc("Add comments listing the :hover, :focus and :active rules from loaded stylesheets that apply to each element. "
+				+ "Slow on large trees.")
+			.addToggle((t) => t.setValue(s.interactionStates).onChange(async (v) => {
+				s.interactionStates = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("Descend into shadow roots and frames")
+			.setDesc("Include the contents of open shadow roots and same-origin iframes in the CSS tree, "
+				+ "marked with /* ::shadow */ and /* iframe */.")
+			.addToggle((t) => t.setValue(s.crossBoundaries).onChange(async (v) => {
+				s.crossBoundaries = v;
+				await plugin.saveSettings();
+			}));
+		new Setting(containerEl)
+			.setName("Include :nth-child")
+			.setDesc("Append :nth-child(n) to selectors built from tag names.")
+			.addToggle((t) => t.setValue(s.includeNthChild).onChange(async (v) => {
+				s.includeNthChild = v;
+				await plugin.saveSettings();
+			}));
+	}
+
+	/**
+	 * Add the button and modifier dropdowns for one trigger.
+	 * @private
+	 * @param {string} name
+	 * @param {"cssTrigger" | "pathTrigger"} key
+	 */
+	_addTriggerSettings(name, key) {
+		const plugin = this.plugin;
+		new Setting(this.containerEl)
+			.setName(name)
+			.setDesc("Mouse button and modifier keys that open the " + name + ". Ctrl means Cmd on macOS.")
+			.addDropdown((d) => d
+				.addOptions(MOUSE_BUTTONS)
+				.setValue(String(plugin.settings[key].button))
+				.onChange(async (v) => {
+					const next = Object.assign({}, plugin.settings[key], { button: Number(v) });
+					if (locksOutClicks(next)) {
+						d.setValue(String(plugin.settings[key].button));
+						new Noticer().show(LOCKOUT_MESSAGE, 8000);
+						return;
+					}
+					plugin.settings[key] = next;
+					await this._saveTrigger();
+				}))
+			.addDropdown((d) => {
+				for (const combo of MODIFIER_COMBOS) d.addOption(combo, describeModifiers(comboToTrigger(combo)) || "No modifiers");
+				d.setValue(triggerToCombo(plugin.settings[key]));
+				d.onChange(async (v) => {
+					const next = Object.assign({}, plugin.settings[key], comboToTrigger(v));
+					if (locksOutClicks(next)) {
+						d.setValue(triggerToCombo(plugin.settings[key]));
+						new Noticer().show(LOCKOUT_MESSAGE, 8000);
+						return;
+					}
+					plugin.settings[key] = next;
+					await this._saveTrigger();
+				});
+			});
+	}
+
+	/**
+	 * Add a textarea holding one regular expression per line. Invalid lines are flagged and ignored.
+	 * @private
+	 * @param {string} name
+	 * @param {string} desc
+	 * @param {"stateClassPatterns" | "generatedClassPatterns" | "keepClassPatterns"} key
+	 */
+	_addPatternSetting(name, desc, key) {
+		const plugin = this.plugin;
+		new Setting(this.containerEl)
+			.setName(name)
+			.setDesc(desc)
+			.addTextArea((t) => {
+				/** @type {(v: string) => void} */
+				const validate = (v) => {
+					const bad = parsePatterns(v).invalid;
+					t.inputEl.toggleClass("esc-invalid", bad.length > 0);
+					t.inputEl.title = bad.length ? "Ignored (invalid): " + bad.join(", ") : "";
+				};
+				t.inputEl.rows = 4;
+				t.setValue(plugin.settings[key]);
+				validate(plugin.settings[key]);
+				t.onChange(async (v) => {
+					validate(v);
+					plugin.settings[key] = v;
+					await plugin.saveSettings();
+				});
+			});
+	}
+
+	/**
+	 * Save settings and warn when both triggers are the same gesture.
+	 * @private
+	 */
+	async _saveTrigger() {
+		const { cssTrigger, pathTrigger } = this.plugin.settings;
+		if (cssTrigger.button === pathTrigger.button && triggerToCombo(cssTrigger) === triggerToCombo(pathTrigger)) {
+			new Noticer().show("CSS and Path menus share a trigger; the CSS menu wins.", 5000);
+		}
+		await this.plugin.saveSettings();
+	}
+}
+
+/**
+ * Compare two specificities.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Positive when a is more specific, negative when b is, 0 when equal.
+ */
+function compareSpecificity(a, b) {
+	return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+}
+
+/**
+ * Parse a non-negative integer from a text field.
+ * @param {string} v
+ * @param {number} fallback Used when the value is not a number (or is 0 and zero is not allowed).
+ * @param {boolean} [allowZero=false]
+ * @returns {number}
+ */
+function toPositiveInt(v, fallback, allowZero = false) {
+	const n = parseInt(String(v).trim(), 10);
+	if (!Number.isFinite(n) || n < 0 || (n === 0 && !allowZero)) return fallback;
+	return n;
+}
+
+/**
+ * Compile one regular expression per line, skipping blanks and collecting invalid lines.
+ * @param {string} text
+ * @returns {{patterns: RegExp[], invalid: string[]}}
+ */
+function parsePatterns(text) {
+	/** @type {RegExp[]} */
+	const patterns = [];
+	/** @type {string[]} */
+	const invalid = [];
+	for (const line of String(text || "").split(/\r?\n/)) {
+		const src = line.trim();
+		if (!src) continue;
+		try { patterns.push(new RegExp(src)); } catch { invalid.push(src); }
+	}
+	return { patterns, invalid };
+}
+
+/**
+ * @param {string} combo One of MODIFIER_COMBOS.
+ * @returns {{mod: boolean, shift: boolean, alt: boolean}}
+ */
+function comboToTrigger(combo) {
+	const parts = combo.split("+");
+	return { mod: parts.includes("mod"), shift: parts.includes("shift"), alt: parts.includes("alt") };
+}
+
+/**
+ * Whether a trigger would swallow every plain left or right click, locking the user out of
+ * Obsidian (including this settings tab).
+ * @param {MouseTrigger} t
+ * @returns {boolean}
+ */
+function locksOutClicks(t) {
+	const button = Number(t.button);
+	return (button === 0 || button === 2) && !t.mod && !t.shift && !t.alt;
+}
+
+/** Shown when a trigger is rejected by {@link locksOutClicks}. */
+const LOCKOUT_MESSAGE = "Left and right click need at least one modifier key as a trigger; plain clicks would stop working everywhere.";
+
+/**
+ * @param {{mod: boolean, shift: boolean, alt: boolean}} t
+ * @returns {string} One of MODIFIER_COMBOS.
+ */
+function triggerToCombo(t) {
+	const parts = [];
+	if (t.mod) parts.push("mod");
+	if (t.shift) parts.push("shift");
+	if (t.alt) parts.push("alt");
+	const combo = parts.join("+") || "none";
+	// "shift+alt" is offered as "alt+shift"
+	return combo === "shift+alt" ? "alt+shift" : combo;
+}
+
+/**
+ * Describe a trigger's modifier keys, e.g. "Ctrl+Shift" (or "Cmd+Shift" on macOS).
+ * @param {{mod: boolean, shift: boolean, alt: boolean}} t
+ * @returns {string} Empty when no modifiers are required.
+ */
+function describeModifiers(t) {
+	const parts = [];
+	if (t.mod) parts.push(Platform.isMacOS ? "Cmd" : "Ctrl");
+	if (t.shift) parts.push("Shift");
+	if (t.alt) parts.push(Platform.isMacOS ? "Option" : "Alt");
+	return parts.join("+");
+}
+// #endregion __Settings
+
 // #region __Noticer
 /**
  * Lightweight wrapper around Obsidian Notice with auto-disposal.
@@ -29,6 +908,8 @@ class Noticer {
 	constructor() {
 		this._n = null;
 		this._t = null;
+		/** @type {HTMLElement | null} Text of a progress Notice. */
+		this._text = null;
 		Noticer._all.add(this);
 	}
 	// #region __Noticer_public
@@ -50,6 +931,37 @@ class Noticer {
 		if (ms > 0) this._t = setTimeout(() => { try { this.dispose(); } catch { } }, ms);
 		return this;
 	}
+	/**
+	 * Show a Notice with a Cancel button until disposed, for long-running work.
+	 * Change its text with {@link update}.
+	 * @param {string} message
+	 * @param {() => void} onCancel Called when Cancel is clicked; the Notice is then disposed.
+	 * @returns {this}
+	 */
+	progress(message, onCancel) {
+		this.show("", 0);
+		const el = this._n && this._n.noticeEl;
+		if (!el) return this;
+		el.empty();
+		this._text = el.createSpan({ text: message });
+		const cancel = el.createEl("button", { text: "Cancel", cls: "esc-notice-cancel" });
+		cancel.addEventListener("click", (e) => {
+			// a click on the Notice would only hide it
+			e.stopPropagation();
+			onCancel();
+			this.dispose();
+		});
+		return this;
+	}
+	/**
+	 * Change the text of a {@link progress} Notice.
+	 * @param {string} message
+	 * @returns {this}
+	 */
+	update(message) {
+		if (this._text) this._text.setText(message);
+		return this;
+	}
 	/**
 	 * Hide and dispose this Notice instance.
 	 * @returns {this}
@@ -91,663 +1003,5220 @@ class Noticer {
 Noticer._all = new Set();
 // #endregion __Noticer
 
-// #region __Plugin
+// #region __Formatters
 /**
- * Obsidian plugin that generates nested CSS selectors for a clicked element.
- * Ctrl/Cmd+Middle opens the CSS menu; Ctrl/Cmd+Shift+Middle opens the path menu.
+ * Comment marking a shadow-root or frame boundary in selectors, paths and menus.
+ * Selectors cannot cross these boundaries, so the marker is kept as a CSS comment.
+ * @type {Record<Exclude<Boundary, "">, string>}
  */
-module.exports = class ElementSnatchCssPlugin extends Plugin {
+const BOUNDARY_MARKERS = {
+	shadow: "/* ::shadow */",
+	iframe: "/* iframe */"
+};
 
-	// #region __Plugin_private_members
-	/**
-	 * @private
-	 * @member
-	 * @type {Set<Noticer>}
-	 */
-	_noticers = new Set();
-	/**
-	 * @private
-	 * @member
-	 * @type {boolean}
-	 */
-	_debug = false;
-	// #endregion __Plugin_private_members
+/** Matches a boundary marker with its surrounding spaces, capturing the marker. */
+const BOUNDARY_SPLIT = / *(\/\* (?:::shadow|iframe) \*\/) */;
 
-	// #region __Plugin_events
-	/**
-	 * Plugin entry point: bind mouse handler and register DOM event.
-	 */
-	onload() {
-		this._debug = false; // set to true in dev console to enable verbose logging
-		this._onMouseDown = this._onMouseDown.bind(this);
-		this.registerDomEvent(document, "mousedown", this._onMouseDown, { capture: true });
-		if (this._debug) console.log("[element-snatch-css] loaded");
+/**
+ * Selector text to put inside a CSS comment: boundary markers lose their comment delimiters
+ * ("/* iframe *\/" becomes "(iframe)") and any other closing delimiter is broken up.
+ * @param {string} s
+ * @returns {string}
+ */
+function commentSafe(s) {
+	return s.replace(/\/\* (::shadow|iframe) \*\//g, "($1)").replace(/\*\//g, "* /");
+}
+
+/**
+ * Escape backslashes and double quotes for use inside a CSS "..." string.
+ * @param {string} s
+ * @returns {string}
+ */
+function quoteCss(s) {
+	return s.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+/**
+ * A Markdown code span around s, fenced with one backtick more than the longest run inside it.
+ * @param {string} s
+ * @returns {string}
+ */
+function markdownCode(s) {
+	const longest = Math.max(0, ...(s.match(/`+/g) || []).map((run) => run.length));
+	const fence = "`".repeat(longest + 1);
+	// a space keeps a backtick at either end from joining the fence
+	const pad = longest ? " " : "";
+	return fence + pad + s + pad + fence;
+}
+
+/**
+ * Escape the characters that would turn plain text into Markdown or HTML: emphasis, links,
+ * code spans, tags and a leading heading or list marker.
+ * @param {string} s
+ * @returns {string}
+ */
+function markdownText(s) {
+	return s.replace(/[\\`*_[\]<>|]/g, "\\$&").replace(/^([#+-])/, "\\$1");
+}
+
+/**
+ * Join path entries with a combinator; entries starting with a boundary marker are joined
+ * with a space since the marker takes the combinator's place.
+ * @param {string[]} path
+ * @param {string} combinator
+ * @returns {string}
+ */
+function joinPath(path, combinator) {
+	return path.reduce((out, entry, i) => i === 0 ? entry : out + (entry.startsWith("/*") ? " " : combinator) + entry, "");
+}
+
+/**
+ * A content declaration, or the declaration in a comment for a snippet scaffold.
+ * @param {string} value
+ * @param {boolean} [scaffold=false]
+ * @returns {string}
+ */
+function contentLine(value, scaffold = false) {
+	return scaffold ? "/* content: " + value.replace(/\*\//g, "* /") + "; */" : "content: " + value + ";";
+}
+
+/**
+ * Declaration lines shared by the CSS-like formats: text content, state note, computed styles.
+ * @param {SnatchNode} node
+ * @param {boolean} [scaffold=false] Comment out the content declarations.
+ * @returns {string[]}
+ */
+function cssBodyLines(node, scaffold = false) {
+	const lines = node.texts.length
+		? node.texts.map((t) => contentLine('"' + quoteCss(t) + '"', scaffold))
+		: [contentLine('""', scaffold)];
+	if (node.states) lines.push("/* state: " + node.states + " */");
+	for (const [note, n] of node.variants) lines.push("/* variant ×" + n + ": " + note.replace(/\*\//g, "* /") + " */");
+	for (const [prop, value] of node.computed) lines.push("/* " + prop + ": " + value + "; */");
+	for (const r of node.interactions) lines.push("/* " + r.states.join(" ") + " → " + r.selector.replace(/\*\//g, "* /") + " (" + r.source + ") */");
+	return lines;
+}
+
+/**
+ * Entries whose key and value are the same in every map, in the first map's order.
+ * @param {Map<string, string>[]} maps
+ * @returns {[string, string][]}
+ */
+function sharedEntries(maps) {
+	/** @type {[string, string][]} */
+	const out = [];
+	if (!maps.length) return out;
+	for (const [key, value] of maps[0]) {
+		if (maps.every((m) => m.get(key) === value)) out.push([key, value]);
 	}
+	return out;
+}
 
-	/**
-	 * Plugin teardown: dispose notices and highlighter.
-	 */
-	onunload() {
-		try { Noticer.disposeAll(); } catch (e) { if (this._debug) console.error(e); }
-		if (this._debug) console.log("[element-snatch-css] unloaded");
-		this._disposeHighlighter();
+/**
+ * Record node as the owner of each line of text (one entry per newline), when collecting owners.
+ * @param {SnatchNode[] | undefined} owners
+ * @param {SnatchNode} node
+ * @param {string} text
+ */
+function claimLines(owners, node, text) {
+	if (!owners) return;
+	for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) owners.push(node);
+}
+
+/**
+ * Record the owner of each line of a JSON tree printed by JSON.stringify. A node's object opens
+ * on a lone "{" line followed by its "tag" key and owns the lines up to its closing brace.
+ * @param {SnatchNode[] | undefined} owners
+ * @param {SnatchNode} tree
+ * @param {string} text
+ * @param {string} indent
+ */
+function claimJsonLines(owners, tree, text, indent) {
+	if (!owners) return;
+	/** @type {SnatchNode[]} */
+	const order = [];
+	/** @type {(node: SnatchNode) => void} */
+	const walk = (node) => { order.push(node); node.children.forEach(walk); };
+	walk(tree);
+	const lines = text.split("\n");
+	lines.pop(); // after the final newline
+	/** @type {{ level: number, node: SnatchNode }[]} */
+	const stack = [];
+	let next = 0;
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		const level = indent.length ? Math.floor((line.length - line.trimStart().length) / indent.length) : 0;
+		if (line.trim() === "{" && /^\s*"tag": /.test(lines[i + 1] || "") && next < order.length) {
+			while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+			stack.push({ level, node: order[next++] });
+		} else {
+			while (stack.length > 1 && stack[stack.length - 1].level > level) stack.pop();
+		}
+		owners.push(stack.length ? stack[stack.length - 1].node : tree);
 	}
-	// #endregion __Plugin_events
+}
 
-	// #region __Plugin_utils
+/**
+ * Render a node as a nested block. childPrefix is put before child selectors ("" for
+ * native CSS nesting, "& > " for SCSS).
+ * @param {SnatchNode} node
+ * @param {number} depth
+ * @param {string} indent
+ * @param {string} childPrefix
+ * @param {SnatchNode[]} [owners] Receives the node of each line.
+ * @param {boolean} [scaffold=false] Comment out the content declarations.
+ * @returns {string}
+ */
+function nestedBlock(node, depth, indent, childPrefix, owners, scaffold = false) {
+	const pad = indent.repeat(depth);
+	const inner = indent.repeat(depth + 1);
+	const sel = (node.boundary ? BOUNDARY_MARKERS[node.boundary] + " " : "") + (depth > 0 ? childPrefix : "") + node.selector;
+	let block = pad + sel + " {" + (node.count > 1 ? " /** " + node.count + " times */" : "") + "\n";
+	// First two content lines: descendant and child paths
+	block += inner + contentLine('"' + quoteCss(joinPath(node.path, " ")) + '"', scaffold) + "\n";
+	block += inner + contentLine('"' + quoteCss(joinPath(node.path, " > ")) + '"', scaffold) + "\n";
+	for (const line of cssBodyLines(node, scaffold)) block += inner + line + "\n";
+	for (const [name, content] of node.pseudos) {
+		block += inner + "&" + name + " {\n" + inner + indent + contentLine(content, scaffold) + "\n" + inner + "}\n";
+	}
+	claimLines(owners, node, block);
+	for (const child of node.children) block += nestedBlock(child, depth + 1, indent, childPrefix, owners, scaffold);
+	block += pad + "}\n";
+	claimLines(owners, node, "\n");
+	return block;
+}
+
+/**
+ * Output formats for the CSS tree, keyed by OutputFormat.
+ * css marks formats that are valid CSS and can be written to a snippet.
+ * @type {Record<OutputFormat, Formatter>}
+ */
+const FORMATTERS = {
+	nested: {
+		name: "Nested CSS",
+		css: true,
+		format: (tree, o) => nestedBlock(tree, 0, o.indent, "", o.owners, o.scaffold) + (o.truncated ? "/* truncated: reached maxNodes limit */\n" : "")
+	},
+	flat: {
+		name: "Flat CSS",
+		css: true,
+		format: (tree, o) => {
+			let out = "";
+			/** @type {(node: SnatchNode) => void} */
+			const walk = (node) => {
+				let block = joinPath(node.path, " > ") + " {" + (node.count > 1 ? " /** " + node.count + " times */" : "") + "\n";
+				for (const line of cssBodyLines(node, o.scaffold)) block += o.indent + line + "\n";
+				block += "}\n";
+				for (const [name, content] of node.pseudos) {
+					block += joinPath(node.path, " > ") + name + " {\n" + o.indent + contentLine(content, o.scaffold) + "\n}\n";
+				}
+				claimLines(o.owners, node, block);
+				out += block;
+				node.children.forEach(walk);
+			};
+			walk(tree);
+			return out + (o.truncated ? "/* truncated: reached maxNodes limit */\n" : "");
+		}
+	},
+	scss: {
+		name: "SCSS",
+		css: false,
+		format: (tree, o) => nestedBlock(tree, 0, o.indent, "& > ", o.owners) + (o.truncated ? "// truncated: reached maxNodes limit\n" : "")
+	},
+	json: {
+		name: "JSON tree",
+		css: false,
+		format: (tree, o) => {
+			/** @type {(node: SnatchNode) => object} */
+			const toJson = (node) => Object.assign({
+				tag: node.tag,
+				id: node.id,
+				classes: node.classes,
+				attributes: node.attributes,
+				selector: node.selector,
+				text: node.texts,
+				count: node.count
+			}, node.boundary ? { boundary: node.boundary } : {},
+			node.states ? { state: node.states } : {},
+			node.variants.length ? { variants: node.variants.map(([note, n]) => ({ variant: note, count: n })) } : {},
+			node.computed.length ? { computed: Object.fromEntries(node.computed) } : {},
+			node.pseudos.length ? { pseudo: Object.fromEntries(node.pseudos) } : {},
+			node.interactions.length ? { interactions: node.interactions.map((r) => ({ states: r.states, selector: r.selector, source: r.source })) } : {},
+			{ children: node.children.map(toJson) });
+			const json = Object.assign(toJson(tree), o.truncated ? { truncated: true } : {});
+			const text = JSON.stringify(json, null, o.indent) + "\n";
+			claimJsonLines(o.owners, tree, text, o.indent);
+			return text;
+		}
+	},
+	markdown: {
+		name: "Markdown outline",
+		css: false,
+		format: (tree, o) => {
+			let out = "";
+			/** @type {(node: SnatchNode, depth: number) => void} */
+			const walk = (node, depth) => {
+				const texts = node.texts.filter(Boolean).map((t) => '"' + markdownText(t) + '"');
+				claimLines(o.owners, node, "\n");
+				out += o.indent.repeat(depth) + "- " + (node.boundary ? "_" + BOUNDARY_MARKERS[node.boundary] + "_ " : "")
+					+ markdownCode(node.selector)
+					+ (node.count > 1 ? " ×" + node.count : "")
+					+ (texts.length ? " — " + texts.join(", ") : "")
+					+ (node.states ? " _(state: " + markdownText(node.states) + ")_" : "")
+					+ node.variants.map(([note, n]) => " _(variant ×" + n + ": " + markdownText(note) + ")_").join("")
+					+ node.pseudos.map(([name, content]) => " `" + name + "` " + markdownCode(content)).join("") + "\n";
+				for (const child of node.children) walk(child, depth + 1);
+			};
+			walk(tree, 0);
+			return out + (o.truncated ? "\n_truncated: reached maxNodes limit_\n" : "");
+		}
+	}
+};
+// #endregion __Formatters
+
+// #region __StyleDefaults
+/** Curated computed-style properties for the CSS tree, by topic. */
+const COMPUTED_STYLE_PROPS = {
+	layout: ["display", "position", "z-index", "box-sizing", "overflow", "flex-direction", "flex-wrap", "flex-grow", "flex-shrink",
+		"justify-content", "align-items", "gap", "grid-template-columns", "grid-template-rows", "max-width", "min-height"],
+	colour: ["color", "background-color", "border", "border-radius", "box-shadow", "opacity"],
+	typography: ["font-family", "font-size", "font-weight", "font-style", "line-height", "letter-spacing", "text-transform",
+		"text-decoration-line", "text-align", "white-space"],
+	spacing: ["margin", "padding"]
+};
+
+/** Properties from COMPUTED_STYLE_PROPS that inherit; these are compared with the parent instead of the tag defaults. */
+const INHERITED_STYLE_PROPS = new Set(["color", "font-family", "font-size", "font-weight", "font-style", "line-height",
+	"letter-spacing", "text-transform", "text-align", "white-space"]);
+
+/**
+ * User-agent default styles per tag, read from elements in a hidden blank iframe so that
+ * the app's own stylesheets do not leak in. Dispose when done to remove the iframe.
+ */
+class StyleDefaults {
 	/**
-	 * Show a timed Notice via a fresh Noticer instance and register it in the plugin set.
-	 * @private
-	 * @param {string} message Message to display in the Notice.
-	 * @param {number} timeoutMs Duration in milliseconds to keep the Notice visible.
-	 * @returns {Noticer} The created Noticer instance.
+	 * @param {Document} doc Document the iframe is attached to.
 	 */
-	_withNotice(message, timeoutMs) {
-		const n = new Noticer().show(message, timeoutMs);
-		this._noticers.add(n);
-		// when it disposes, remove from set (best-effort via timeout)
-		setTimeout(() => { this._noticers.delete(n); }, (Number.isFinite(timeoutMs) ? Math.max(0, timeoutMs | 0) : 3000) + 1000);
-		return n;
+	constructor(doc) {
+		this._doc = doc;
+		/** @type {HTMLIFrameElement | null} */
+		this._frame = null;
+		/** @type {Map<string, Map<string, string>>} */
+		this._cache = new Map();
 	}
-
 	/**
-	 * Copy text to the clipboard using Electron when available, falling back to the Web Clipboard API.
-	 * @private
-	 * @param {string} s
-	 * @returns {Promise<boolean>} Whether the copy succeeded.
+	 * Default values of the curated properties for el's tag.
+	 * @param {Element} el
+	 * @returns {Map<string, string>}
 	 */
-	async _copyText(s) {
-		const text = String(s == null ? "" : s);
+	get(el) {
+		const key = (el.namespaceURI || "") + " " + el.localName;
+		const hit = this._cache.get(key);
+		if (hit) return hit;
+		/** @type {Map<string, string>} */
+		const out = new Map();
 		try {
-			const { clipboard } = Electron;
-			if (clipboard && typeof clipboard.writeText === "function") {
-				clipboard.writeText(text);
-				return true;
+			if (!this._frame) {
+				const f = this._doc.createElement("iframe");
+				f.setAttribute("aria-hidden", "true");
+				f.style.cssText = "position:fixed;width:0;height:0;border:0;visibility:hidden;pointer-events:none;";
+				this._doc.body.appendChild(f);
+				this._frame = f;
 			}
+			const fdoc = this._frame.contentDocument;
+			const fwin = this._frame.contentWindow;
+			if (fdoc && fwin) {
+				const probe = el.namespaceURI ? fdoc.createElementNS(el.namespaceURI, el.localName) : fdoc.createElement(el.localName);
+				(fdoc.body || fdoc.documentElement).appendChild(probe);
+				const cs = fwin.getComputedStyle(probe);
+				for (const prop of Object.values(COMPUTED_STYLE_PROPS).flat()) out.set(prop, cs.getPropertyValue(prop));
+				probe.remove();
+			}
+		} catch { }
+		this._cache.set(key, out);
+		return out;
+	}
+	/**
+	 * Remove the iframe and forget cached defaults.
+	 */
+	dispose() {
+		if (this._frame) { try { this._frame.remove(); } catch { } this._frame = null; }
+		this._cache.clear();
+	}
+}
+// #endregion __StyleDefaults
+
+// #region __StructureDiff
+/** Snapshot file format version. 2 added the capture options. */
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * Strip a SnatchNode tree down to its structure for a snapshot.
+ * @param {SnatchNode} node
+ * @returns {SnapshotNode}
+ */
+function snapshotNode(node) {
+	return Object.assign({
+		tag: node.tag,
+		id: node.id,
+		classes: node.classes,
+		attributes: node.attributes,
+		selector: node.selector
+	}, node.boundary ? { boundary: node.boundary } : {}, {
+		count: node.count,
+		children: node.children.map(snapshotNode)
+	});
+}
+
+/**
+ * Path of a child below parentPath, joined with " > " or the child's boundary marker.
+ * @param {string} parentPath
+ * @param {SnapshotNode} node
+ * @returns {string}
+ */
+function snapshotPath(parentPath, node) {
+	if (!parentPath) return node.selector;
+	return parentPath + (node.boundary ? " " + BOUNDARY_MARKERS[node.boundary] + " " : " > ") + node.selector;
+}
+
+/**
+ * How alike two unpaired siblings are, from 0 to 1: same tag required, then the same id, or the
+ * larger of the shares of classes and of child selectors they have in common.
+ * Two class-less elements score at least 0.5.
+ * @param {SnapshotNode} a
+ * @param {SnapshotNode} b
+ * @returns {number}
+ */
+function snapshotSimilarity(a, b) {
+	if (a.tag !== b.tag) return 0;
+	if (a.id && a.id === b.id) return 1;
+	/** @type {(x: string[], y: string[]) => number} */
+	const share = (x, y) => x.length && y.length ? x.filter((v) => y.includes(v)).length / Math.max(x.length, y.length) : 0;
+	const classes = a.classes.length || b.classes.length ? share(a.classes, b.classes) : 0.5;
+	return Math.max(classes, share(a.children.map((c) => c.selector), b.children.map((c) => c.selector)));
+}
+
+/**
+ * Compare a snapshot tree with the current one. Siblings are paired by selector, then by tag and
+ * similar classes or children (reported as class changes). Nodes left unpaired on both sides that have the
+ * same selector anywhere in the tree are reported as moved, which covers added or removed wrappers;
+ * class-less nodes are too ambiguous for that and stay added or removed.
+ * @param {SnapshotNode} before
+ * @param {SnapshotNode} after
+ * @returns {StructureChange[]}
+ */
+function diffStructure(before, after) {
+	/** @type {StructureChange[]} */
+	const changes = [];
+	/** @typedef {{ node: SnapshotNode, path: string, depth: number, top: boolean }} Unpaired */
+	/** @type {Unpaired[]} */
+	const removed = [];
+	/** @type {Unpaired[]} */
+	const added = [];
+
+	/** @type {(list: Unpaired[], node: SnapshotNode, path: string, depth: number, top: boolean) => void} */
+	const collect = (list, node, path, depth, top) => {
+		list.push({ node, path, depth, top });
+		for (const child of node.children) collect(list, child, snapshotPath(path, child), depth + 1, false);
+	};
+
+	/** @type {(a: SnapshotNode, b: SnapshotNode, pathA: string, pathB: string, depth: number) => void} */
+	const compare = (a, b, pathA, pathB, depth) => {
+		const minus = a.classes.filter((c) => !b.classes.includes(c));
+		const plus = b.classes.filter((c) => !a.classes.includes(c));
+		if (minus.length || plus.length) {
+			changes.push({ kind: "classes", path: pathA, detail: minus.map((c) => "−." + c).concat(plus.map((c) => "+." + c)).join(" ") });
+		}
+		const details = [];
+		if (a.tag !== b.tag) details.push("tag " + a.tag + " → " + b.tag);
+		if (a.id !== b.id) details.push("id " + (a.id ? "#" + a.id : "none") + " → " + (b.id ? "#" + b.id : "none"));
+		// attribute values are often content (paths, labels), so only their presence counts
+		for (const name of Object.keys(a.attributes)) if (!(name in b.attributes)) details.push("−[" + name + "]");
+		for (const name of Object.keys(b.attributes)) if (!(name in a.attributes)) details.push("+[" + name + "]");
+		if (a.count !== b.count) details.push("×" + a.count + " → ×" + b.count);
+		if (details.length) changes.push({ kind: "changed", path: pathA, detail: details.join(", ") });
+
+		const left = a.children.slice();
+		const right = b.children.slice();
+		/** @type {[SnapshotNode, SnapshotNode][]} */
+		const pairs = [];
+		/** @type {(x: SnapshotNode, i: number) => void} */
+		const pair = (x, i) => {
+			pairs.push([x, right[i]]);
+			right.splice(i, 1);
+			left.splice(left.indexOf(x), 1);
+		};
+		for (const x of a.children) {
+			const i = right.findIndex((y) => y.selector === x.selector);
+			if (i >= 0) pair(x, i);
+		}
+		for (const x of left.slice()) {
+			let best = -1, bestScore = 0;
+			right.forEach((y, i) => {
+				const score = snapshotSimilarity(x, y);
+				if (score >= 0.5 && score > bestScore) { best = i; bestScore = score; }
+			});
+			if (best >= 0) pair(x, best);
+		}
+		// a single leftover on each side with the same tag is most likely a rename
+		if (left.length === 1 && right.length === 1 && left[0].tag === right[0].tag) pair(left[0], 0);
+		for (const [x, y] of pairs) compare(x, y, snapshotPath(pathA, x), snapshotPath(pathB, y), depth + 1);
+		for (const x of left) collect(removed, x, snapshotPath(pathA, x), depth + 1, true);
+		for (const y of right) collect(added, y, snapshotPath(pathB, y), depth + 1, true);
+	};
+
+	compare(before, after, before.selector, after.selector, 0);
+
+	// Pair leftovers by selector anywhere in the tree; compare() may append more as it goes
+	/** @type {Set<SnapshotNode>} */
+	const consumed = new Set();
+	/** @type {(node: SnapshotNode) => void} */
+	const consume = (node) => { consumed.add(node); node.children.forEach(consume); };
+	for (let i = 0; i < removed.length; i++) {
+		const r = removed[i];
+		if (consumed.has(r.node) || !/[.#[]/.test(r.node.selector)) continue;
+		const m = added.find((x) => !consumed.has(x.node) && x.node.tag === r.node.tag && x.node.selector === r.node.selector);
+		if (!m) continue;
+		consume(r.node);
+		consume(m.node);
+		changes.push({ kind: "moved", path: r.path, to: m.path, detail: r.depth === m.depth ? "" : "nesting depth " + r.depth + " → " + m.depth });
+		compare(r.node, m.node, r.path, m.path, m.depth);
+	}
+	for (const r of removed) if (r.top && !consumed.has(r.node)) changes.push({ kind: "removed", path: r.path, detail: "" });
+	for (const a of added) if (a.top && !consumed.has(a.node)) changes.push({ kind: "added", path: a.path, detail: "" });
+	return changes;
+}
+
+/**
+ * Markdown note describing the differences between a snapshot and the current structure,
+ * with the version changes in between.
+ * @param {Snapshot} snapshot
+ * @param {string} snapshotFile Vault path of the snapshot, linked from the note.
+ * @param {SnapshotEnvironment} now
+ * @param {StructureChange[]} changes
+ * @returns {string}
+ */
+function structureDiffNote(snapshot, snapshotFile, now, changes) {
+	/** @type {(s: string) => string} */
+	const code = (s) => s.includes("`") ? "`` " + s + " ``" : "`" + s + "`";
+	const then = snapshot.environment;
+	const lines = [
+		"# Structure diff: " + snapshot.label,
+		"",
+		"Snapshot [[" + snapshotFile + "]] of " + code(snapshot.selector) + ", taken " + snapshot.time + ", compared " + new Date().toISOString() + ".",
+		"",
+		"| | Snapshot | Now |",
+		"| --- | --- | --- |",
+		"| Obsidian | " + then.obsidian + " | " + now.obsidian + " |",
+		"| Theme | " + then.theme + " | " + now.theme + " |"
+	];
+	const ids = Array.from(new Set(Object.keys(then.plugins).concat(Object.keys(now.plugins)))).sort();
+	const plugins = ids.filter((id) => then.plugins[id] !== now.plugins[id]).map((id) => !(id in now.plugins)
+		? "- " + id + " " + then.plugins[id] + " disabled or removed"
+		: !(id in then.plugins) ? "- " + id + " " + now.plugins[id] + " enabled or installed"
+			: "- " + id + " " + then.plugins[id] + " → " + now.plugins[id]);
+	if (plugins.length) lines.push("", "Plugin changes:", "", ...plugins);
+	if (snapshot.truncated) lines.push("", "> [!warning] The snapshot reached the maximum node count, so nodes past it show up as added.");
+
+	/** @type {[StructureChange["kind"], string][]} */
+	const sections = [["moved", "Moved"], ["classes", "Class changes"], ["changed", "Changed"], ["removed", "Removed"], ["added", "Added"]];
+	const counts = sections
+		.map(([kind, title]) => title.toLowerCase() + " " + changes.filter((c) => c.kind === kind).length)
+		.filter((s) => !s.endsWith(" 0"));
+	lines.push("", changes.length
+		? "**" + changes.length + (changes.length === 1 ? " change" : " changes") + "**: " + counts.join(", ") + "."
+		: "No structural changes.");
+	for (const [kind, title] of sections) {
+		const list = changes.filter((c) => c.kind === kind);
+		if (!list.length) continue;
+		lines.push("", "## " + title, "");
+		for (const c of list) {
+			lines.push("- " + code(c.path) + (c.to ? " → " + code(c.to) : "") + (c.detail ? (c.to ? " (" + c.detail + ")" : ": " + c.detail) : ""));
+		}
+	}
+	return lines.join("\n") + "\n";
+}
+// #endregion __StructureDiff
+
+// #region __SelectorAudit
+/** Interaction-state pseudo-classes; an element only matches them while in that state. */
+const INTERACTION_STATES = /:(hover|focus-visible|focus-within|focus|active)(?![\w-])/g;
+
+/** Pseudo-elements (with the legacy single-colon forms), which querySelectorAll cannot match. */
+const PSEUDO_ELEMENTS = /::[\w-]+(\([^)]*\))?|:(before|after|first-line|first-letter)(?![\w-])/gi;
+
+/**
+ * Selector to count an audited selector's elements with: interaction states match any element
+ * and pseudo-elements are dropped, so the rule counts as live when its element exists.
+ * @param {string} selector
+ * @returns {string}
+ */
+function auditTestSelector(selector) {
+	return selector.replace(INTERACTION_STATES, ":is(*)").replace(PSEUDO_ELEMENTS, "").trim() || "*";
+}
+
+/**
+ * Class names a selector requires, leaving out those inside strings, attribute selectors and :not().
+ * @param {string} selector
+ * @returns {string[]}
+ */
+function requiredClasses(selector) {
+	let s = selector.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, "").replace(/\[[^\]]*\]/g, "");
+	for (let prev = ""; prev !== s;) {
+		prev = s;
+		s = s.replace(/:not\((?:[^()]|\([^()]*\))*\)/gi, "");
+	}
+	return Array.from(new Set((s.match(/\.-?[_a-zA-Z][\w-]*/g) || []).map((c) => c.slice(1))));
+}
+
+/**
+ * Markdown report of a selector audit: selectors whose classes are missing from the DOM,
+ * selectors that match nothing although their classes exist, broad and invalid selectors.
+ * @param {SelectorAuditEntry[]} entries
+ * @param {{ files: string[], windows: number, broad: number, link: (entry: SelectorAuditEntry) => string }} info
+ * @returns {string}
+ */
+function selectorAuditNote(entries, info) {
+	/** @type {(s: string) => string} */
+	const code = (s) => s.includes("`") ? "`` " + s + " ``" : "`" + s + "`";
+	/** @type {[string, string, string, SelectorAuditEntry[], (e: SelectorAuditEntry) => string][]} */
+	const sections = [
+		["Classes missing from the DOM", "with missing classes", "No element has these classes, so the selectors cannot match. They were most likely renamed or removed.",
+			entries.filter((e) => e.count === 0 && e.missing.length), (e) => "missing " + e.missing.map((c) => "." + c).join(", ")],
+		["Matches nothing", "matching nothing", "Every class exists somewhere (or is a state class), but nothing matches the combination right now.",
+			entries.filter((e) => e.count === 0 && !e.missing.length), () => ""],
+		["Matches many elements", "broad", "At least " + info.broad + " elements each; check that these are not broader than intended.",
+			entries.filter((e) => e.count >= info.broad), (e) => e.count + " elements"],
+		["Invalid or unsupported selectors", "invalid", "The browser could not parse these.",
+			entries.filter((e) => e.count < 0), () => ""]
+	];
+	const lines = [
+		"# Selector audit",
+		"",
+		new Date().toISOString() + " — " + entries.length + " selectors in " + info.files.length + (info.files.length === 1 ? " file" : " files") + ": " + info.files.join(", ") + ".",
+		"",
+		"> [!note] Matches are counted in the " + (info.windows === 1 ? "window" : info.windows + " windows") + " open during the audit.",
+		"> Rules for views, modals, menus or popovers that were not on screen (settings, canvas, graph, PDF, hover previews, ...) match nothing until they are. Open them and run the audit again before deleting rules. Interaction states such as `:hover` are ignored when counting.",
+		"",
+		sections.map(([, short, , list]) => list.length + " " + short).join(", ") + "."
+	];
+	for (const [title, , desc, list, note] of sections) {
+		if (!list.length) continue;
+		lines.push("", "## " + title, "", desc, "");
+		for (const e of list) {
+			const extra = note(e);
+			lines.push("- " + code(e.selector) + " — " + info.link(e) + (extra ? " — " + extra : ""));
+		}
+	}
+	return lines.join("\n") + "\n";
+}
+// #endregion __SelectorAudit
+
+// #region __ObsidianLabels
+/**
+ * Short text of an element for a label: its aria-label, else its first line of text.
+ * @param {Element | null | undefined} el
+ * @returns {string}
+ */
+function labelText(el) {
+	if (!el) return "";
+	const text = (el.getAttribute("aria-label") || el.textContent || "").trim().split("\n")[0].trim();
+	return text.length > 40 ? text.slice(0, 40) + "..." : text;
+}
+
+/**
+ * Known Obsidian structures, first match wins. A name is fixed or built from the element; a
+ * builder returning "" falls through to the next entry. Leaves are named by {@link obsidianLabelOf}.
+ * @type {[string, string | ((el: HTMLElement) => string)][]}
+ */
+const OBSIDIAN_STRUCTURES = [
+	[".workspace-split.mod-root", "Root split"],
+	[".workspace-split.mod-left-split", "Left sidebar"],
+	[".workspace-split.mod-right-split", "Right sidebar"],
+	[".workspace-split", (el) => "Split: " + (el.classList.contains("mod-horizontal") ? "horizontal" : "vertical")],
+	[".workspace-tabs", (el) => {
+		const n = el.querySelectorAll(":scope > .workspace-tab-header-container .workspace-tab-header").length;
+		return "Tab group: " + n + (n === 1 ? " tab" : " tabs");
+	}],
+	[".workspace-tab-header", (el) => "Tab: " + (labelText(el.querySelector(".workspace-tab-header-inner-title")) || labelText(el))],
+	[".workspace-leaf-content", (el) => "View: " + (el.getAttribute("data-type") || "empty")],
+	[".view-header", "View header"],
+	[".view-content", "View content"],
+	[".workspace-ribbon", "Ribbon"],
+	[".side-dock-ribbon-action", (el) => "Ribbon action: " + labelText(el)],
+	[".status-bar", "Status bar"],
+	[".status-bar-item", (el) => {
+		const owner = Array.from(el.classList).find((c) => c.startsWith("plugin-"));
+		return "Status bar item" + (owner ? ": " + owner.slice(7) : "");
+	}],
+	[".modal-container", "Modal layer"],
+	[".modal.mod-settings", "Settings"],
+	[".modal", (el) => {
+		const title = labelText(el.querySelector(":scope > .modal-title"));
+		return "Modal" + (title ? ": " + title : "");
+	}],
+	[".vertical-tab-nav-item", (el) => "Settings tab: " + labelText(el)],
+	[".vertical-tab-content-container", (el) => {
+		const tab = labelText(el.closest(".modal")?.querySelector(".vertical-tab-nav-item.is-active"));
+		return "Settings tab content" + (tab ? ": " + tab : "");
+	}],
+	[".markdown-reading-view", "Reading view"],
+	[".markdown-preview-view", "Rendered Markdown"],
+	[".markdown-source-view.is-live-preview", "Live preview"],
+	[".markdown-source-view", "Source mode"],
+	[".cm-editor", "Editor"],
+	[".cm-content", "Editor content"],
+	[".cm-line", (el) => {
+		const editor = /** @type {HTMLElement | null} */ (el.closest(".cm-editor"));
+		try {
+			const view = editor && EditorView.findFromDOM(editor);
+			if (view) return "Editor line " + view.state.doc.lineAt(view.posAtDOM(el)).number;
+		} catch (e) { /* line outside the document (widget or detached) */ }
+		return "Editor line";
+	}],
+	[".nav-file-title", (el) => "File: " + (el.getAttribute("data-path") || labelText(el))],
+	[".nav-folder-title", (el) => "Folder: " + (el.getAttribute("data-path") || labelText(el))],
+	[".menu", "Menu"],
+	[".prompt", "Prompt"]
+];
+
+/**
+ * Friendly name of an element that is a known Obsidian structure, e.g. "Leaf: markdown — Notes/Todo.md",
+ * or "" for anything else.
+ * @param {HTMLElement} el
+ * @param {(leafEl: HTMLElement) => string} leafFile Path of the file shown in a leaf, or "".
+ * @returns {string}
+ */
+function obsidianLabelOf(el, leafFile) {
+	if (el.classList.contains("workspace-leaf")) {
+		const type = el.querySelector(":scope > .workspace-leaf-content")?.getAttribute("data-type") || "empty";
+		const file = leafFile(el);
+		return "Leaf: " + type + (file ? " — " + file : "");
+	}
+	for (const [selector, name] of OBSIDIAN_STRUCTURES) {
+		if (!el.matches(selector)) continue;
+		const label = typeof name === "string" ? name : name(el);
+		if (label) return label;
+	}
+	return "";
+}
+// #endregion __ObsidianLabels
+
+// #region __Redaction
+/** Names of the redactable fields, for the settings tab. */
+const REDACT_FIELDS = {
+	text: ["Text content", "Text is replaced by its length and kind, e.g. \"<text 23ch>\" or \"<number 2ch>\"."],
+	paths: ["Vault paths", "Attribute values holding a vault path or link (data-path, data-href, href, src, or any value naming a vault file or note, ids and classes included) are hashed per folder and file name, keeping extensions. Equal paths keep equal hashes within one capture; the hashes change with every capture, so names cannot be guessed back."],
+	labels: ["Labels and titles", "aria-label, title, placeholder, alt and data-heading values, which often hold note titles and headings, are replaced by their length, and so are ids that contain spaces."],
+	bodies: ["Editor and preview bodies", "The CSS tree stops at the editor content, the reading view and embeds below the captured element, instead of listing the note's lines."]
+};
+
+/** Attributes whose values are vault paths or links. */
+const PATH_ATTRIBUTES = new Set(["data-path", "data-href", "data-src", "data-link", "data-file", "href", "src"]);
+
+/** Attributes whose values are labels, often note titles or headings. */
+const LABEL_ATTRIBUTES = new Set(["aria-label", "title", "placeholder", "alt", "data-heading", "data-tooltip"]);
+
+/** Containers of a note's content: the editor, the reading view and embeds. */
+const NOTE_BODIES = ".cm-content, .markdown-preview-sizer, .markdown-embed-content";
+
+/**
+ * Six hex digits of a string's FNV-1a hash, enough to tell redacted values apart. Without a
+ * salt, a list of likely names would reverse it.
+ * @param {string} s
+ * @param {string} [salt=""]
+ * @returns {string}
+ */
+function shortHash(s, salt = "") {
+	const input = salt + "\0" + s;
+	let h = 0x811c9dc5;
+	for (let i = 0; i < input.length; i++) h = Math.imul(h ^ input.charCodeAt(i), 0x01000193);
+	return (h >>> 0).toString(16).padStart(8, "0").slice(0, 6);
+}
+
+/**
+ * A fresh salt for the hashes of one capture.
+ * @returns {string}
+ */
+function redactSalt() {
+	return Array.from(crypto.getRandomValues(new Uint32Array(2)), (n) => n.toString(36)).join("");
+}
+
+/**
+ * Placeholder keeping a text's length and kind, e.g. "<text 23ch>".
+ * @param {string} s
+ * @returns {string}
+ */
+function redactText(s) {
+	return "<" + (/^[\d\s.,:%+-]+$/.test(s) ? "number" : "text") + " " + s.length + "ch>";
+}
+
+/**
+ * Hash each folder and file name of a path or URL, keeping the scheme, slashes and extension:
+ * "Projects/Todo.md" becomes "<1a2b3c>/<4d5e6f>.md".
+ * @param {string} value
+ * @param {string} [salt=""] The capture's {@link redactSalt}.
+ * @returns {string}
+ */
+function redactPath(value, salt = "") {
+	const scheme = (value.match(/^[a-z][\w+.-]*:\/*/i) || [""])[0];
+	return scheme + value.slice(scheme.length).split("/").map((seg) => {
+		if (!seg) return seg;
+		const ext = (seg.match(/\.[a-z0-9]{1,5}$/i) || [""])[0];
+		return "<" + shortHash(seg.slice(0, seg.length - ext.length), salt) + ">" + ext;
+	}).join("/");
+}
+
+/**
+ * An attribute value with what the fields ask for redacted.
+ * @param {string} name
+ * @param {string} value
+ * @param {RedactFields} fields
+ * @param {(value: string) => boolean} isVaultPath
+ * @returns {string}
+ */
+function redactAttribute(name, value, fields, isVaultPath) {
+	if (!value) return value;
+	if (fields.paths && (PATH_ATTRIBUTES.has(name) || isVaultPath(value))) return redactPath(value, fields.salt);
+	if (fields.labels && LABEL_ATTRIBUTES.has(name)) return "<label " + value.length + "ch>";
+	return value;
+}
+
+/**
+ * An id or class name with what the fields ask for redacted, as a name that needs no escaping:
+ * names of vault files or notes are hashed ("redacted-1a2b3c"), and ids with spaces, which are
+ * prose rather than names, count as labels ("label-12ch").
+ * @param {string} name
+ * @param {RedactFields} fields
+ * @param {(value: string) => boolean} isVaultPath
+ * @returns {string}
+ */
+function redactName(name, fields, isVaultPath) {
+	if (!name) return name;
+	if (fields.paths && (isVaultPath(name) || isVaultPath(name + ".md"))) return "redacted-" + shortHash(name, fields.salt);
+	if (fields.labels && /\s/.test(name)) return "label-" + name.length + "ch";
+	return name;
+}
+
+/**
+ * Generated content with its strings redacted as text: '"Todo" counter(n)' becomes
+ * '"<text 4ch>" counter(n)'.
+ * @param {string} content A computed content value.
+ * @returns {string}
+ */
+function redactContent(content) {
+	return content.replace(/"((?:[^"\\]|\\.)*)"/g, (all, quoted) => quoted ? '"' + redactText(quoted.replace(/\\(.)/g, "$1")) + '"' : all);
+}
+
+/**
+ * Redact the values of the attribute selectors in selector text (as built by
+ * _attributeSelectorFor: [name="value"] or [name^="value"]) and its ids and classes (see
+ * {@link redactName}); comments and the rest are kept.
+ * @param {string} text
+ * @param {RedactFields} fields
+ * @param {(value: string) => boolean} isVaultPath
+ * @returns {string}
+ */
+function redactSelectors(text, fields, isVaultPath) {
+	const tokens = /\[([\w-]+)(\^?=)"((?:[^"\\]|\\.)*)"\]|\/\*[\s\S]*?\*\/|([#.])((?:[\w-]|\\[0-9a-fA-F]{1,6} ?|\\[^\n0-9a-fA-F])+)/g;
+	return text.replace(tokens, (all, name, op, quoted, sigil, ident) => {
+		if (name) {
+			const value = quoted.replace(/\\(.)/g, "$1");
+			const out = redactAttribute(name, value, fields, isVaultPath);
+			return out === value ? all : "[" + name + op + '"' + quoteCss(out) + '"]';
+		}
+		if (!sigil) return all; // a comment
+		const value = ident.replace(/\\([0-9a-fA-F]{1,6}) ?|\\(.)/g, (/** @type {string} */ _, /** @type {string} */ hex, /** @type {string} */ ch) => hex ? String.fromCodePoint(parseInt(hex, 16)) : ch);
+		const out = redactName(value, fields, isVaultPath);
+		return out === value ? all : sigil + out;
+	});
+}
+
+/**
+ * Redact the selectors, paths, ids, classes, attributes and pseudo-element content of a CSS
+ * tree in place. Texts are redacted while the tree is built, before they are cut to length.
+ * @param {SnatchNode} node
+ * @param {RedactFields} fields
+ * @param {(value: string) => boolean} isVaultPath
+ */
+function redactTree(node, fields, isVaultPath) {
+	node.selector = redactSelectors(node.selector, fields, isVaultPath);
+	node.path = node.path.map((p) => redactSelectors(p, fields, isVaultPath));
+	node.id = redactName(node.id, fields, isVaultPath);
+	node.classes = node.classes.map((c) => redactName(c, fields, isVaultPath));
+	for (const name of Object.keys(node.attributes)) {
+		node.attributes[name] = redactAttribute(name, node.attributes[name], fields, isVaultPath);
+	}
+	node.pseudos = node.pseudos.map(([pseudo, value]) => {
+		if (pseudo === "::placeholder") return [pseudo, fields.labels ? '"<label ' + Math.max(0, value.length - 2) + 'ch>"' : value];
+		return [pseudo, fields.text ? redactContent(value) : value];
+	});
+	for (const child of node.children) redactTree(child, fields, isVaultPath);
+}
+// #endregion __Redaction
+
+// #region __Modals
+/**
+ * Yes/no question; the callback runs only when confirmed.
+ */
+class ConfirmModal extends Modal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {string} title
+	 * @param {string} message
+	 * @param {string} confirmText
+	 * @param {() => any} onConfirm
+	 */
+	constructor(app, title, message, confirmText, onConfirm) {
+		super(app);
+		this._title = title;
+		this._message = message;
+		this._confirmText = confirmText;
+		this._onConfirm = onConfirm;
+	}
+
+	onOpen() {
+		this.titleEl.setText(this._title);
+		this.contentEl.createEl("p", { text: this._message });
+		new Setting(this.contentEl)
+			.addButton((b) => b.setButtonText("Cancel").onClick(() => this.close()))
+			.addButton((b) => b.setButtonText(this._confirmText).setCta().onClick(() => {
+				this.close();
+				this._onConfirm();
+			}));
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
+
+/**
+ * Lists the custom properties affecting an element and copies them as a body { } block.
+ */
+class VariablesModal extends Modal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {string} title
+	 * @param {VariableInfo[]} vars
+	 * @param {(text: string) => Promise<boolean>} copy
+	 */
+	constructor(app, title, vars, copy) {
+		super(app);
+		this._title = title;
+		this._vars = vars;
+		this._copy = copy;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		this.titleEl.setText(this._title);
+		const table = contentEl.createEl("table", { cls: "esc-table" });
+		const head = table.createEl("tr");
+		for (const h of ["Variable", "Value", "Defined by"]) head.createEl("th", { text: h });
+		for (const v of this._vars) {
+			const tr = table.createEl("tr");
+			tr.createEl("td", { text: v.name, cls: "esc-mono" });
+			const td = tr.createEl("td", { cls: "esc-mono" });
+			if (v.value && CSS.supports("color", v.value)) {
+				td.createSpan({ cls: "esc-swatch" }).style.background = v.value;
+			}
+			td.appendText(v.value || "(unset)");
+			tr.createEl("td", { text: v.selector ? v.selector + " — " + v.source : v.source, cls: "esc-mono" });
+		}
+		new Setting(contentEl).addButton((b) => b
+			.setButtonText("Copy body { } block")
+			.setCta()
+			.onClick(async () => {
+				const ok = await this._copy(VariablesModal.block(this._vars));
+				new Noticer().show(ok ? "Variables copied" : "Copy failed", ok ? 5000 : 10000);
+				if (ok) this.close();
+			}));
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+
+	/**
+	 * Ready-to-edit override block, one declaration per variable with its origin as a comment.
+	 * @static
+	 * @param {VariableInfo[]} vars
+	 * @returns {string}
+	 */
+	static block(vars) {
+		const lines = vars.map((v) => "\t" + v.name + ": " + (v.value || "initial") + ";"
+			+ (v.selector ? " /* " + v.selector + " — " + v.source + " */" : ""));
+		return "body {\n" + lines.join("\n") + "\n}\n";
+	}
+}
+
+/**
+ * Lists the rules matching an element in cascade order, with copy and override buttons.
+ */
+class MatchedRulesModal extends Modal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {string} title
+	 * @param {MatchedRule[]} rules Highest precedence first.
+	 * @param {string} override Generated rule that beats the current winner.
+	 * @param {(text: string) => Promise<boolean>} copy
+	 */
+	constructor(app, title, rules, override, copy) {
+		super(app);
+		this._title = title;
+		this._rules = rules;
+		this._override = override;
+		this._copy = copy;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		this.titleEl.setText(this._title);
+		contentEl.createEl("p", {
+			cls: "setting-item-description",
+			text: this._rules.length + " rules, highest precedence first. Inline style, then unlayered before layered rules, then by specificity and source order. The override rule only out-ranks the winner by specificity: !important declarations and @layer order are not taken into account."
+		});
+		new Setting(contentEl)
+			.setName("Override")
+			.setDesc(this._override.split("\n")[0].replace(/\s*\{$/, ""))
+			.addButton((b) => b.setButtonText("Copy override rule").setCta().onClick(() => this._copyAndNotify(this._override, "Override rule copied")));
+		for (const r of this._rules) {
+			const box = contentEl.createDiv({ cls: "esc-rule" });
+			const head = box.createDiv({ cls: "esc-rule-head" });
+			head.createSpan({ cls: "esc-mono", text: r.selector });
+			head.createSpan({ cls: "esc-rule-meta", text: "(" + r.spec.join(",") + ") " + r.source + (r.conditions.length ? " " + r.conditions.join(" ") : "") });
+			const copyBtn = head.createEl("button", { text: "Copy" });
+			copyBtn.addEventListener("click", () => this._copyAndNotify(r.cssText, "Rule copied"));
+			box.createEl("pre", { cls: "esc-mono", text: r.declarations });
+		}
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+
+	/**
+	 * @private
+	 * @param {string} text
+	 * @param {string} message
+	 */
+	async _copyAndNotify(text, message) {
+		const ok = await this._copy(text);
+		new Noticer().show(ok ? message : "Copy failed", ok ? 5000 : 10000);
+	}
+}
+/**
+ * Selector input that outlines every match as you type and steps through them one at a time.
+ * Enter goes to the next match, Shift+Enter to the previous one.
+ */
+class SelectorTesterModal extends Modal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {string} initial Selector to start with.
+	 * @param {{
+	 *   query: (selector: string) => Element[],
+	 *   show: (matches: Element[], current: Element | null) => void,
+	 *   clear: () => void,
+	 *   label: (el: Element) => string
+	 * }} actions query throws a DOMException for invalid selectors.
+	 */
+	constructor(app, initial, actions) {
+		super(app);
+		this._initial = initial;
+		this._actions = actions;
+		/** @type {Element[]} */
+		this._matches = [];
+		this._index = 0;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		this.titleEl.setText("Test selector");
+		const input = contentEl.createEl("input", { type: "text", cls: "esc-tester-input esc-mono" });
+		input.value = this._initial;
+		input.placeholder = ".workspace-leaf.mod-active .view-header";
+		input.spellcheck = false;
+		this._status = contentEl.createDiv({ cls: "esc-tester-status" });
+		const nav = contentEl.createDiv({ cls: "esc-tester-nav" });
+		const prev = nav.createEl("button", { text: "Previous" });
+		const next = nav.createEl("button", { text: "Next" });
+		this._current = nav.createSpan({ cls: "esc-mono" });
+		prev.addEventListener("click", () => this._step(-1));
+		next.addEventListener("click", () => this._step(1));
+		input.addEventListener("input", () => this._run(input.value));
+		input.addEventListener("keydown", (e) => {
+			if (e.key !== "Enter") return;
+			e.preventDefault();
+			this._step(e.shiftKey ? -1 : 1);
+		});
+		this._run(input.value);
+		input.focus();
+		input.select();
+	}
+
+	onClose() {
+		this._actions.clear();
+		this.contentEl.empty();
+	}
+
+	/**
+	 * Run the selector and outline its matches, or show the parser error.
+	 * @private
+	 * @param {string} selector
+	 */
+	_run(selector) {
+		this._matches = [];
+		this._index = 0;
+		/** @type {string} */
+		let error = "";
+		if (selector.trim()) {
+			try { this._matches = this._actions.query(selector); } catch (e) { error = e instanceof Error ? e.message : String(e); }
+		}
+		const n = this._matches.length;
+		this._status?.setText(error || (!selector.trim() ? "" : n === 1 ? "1 match" : n + " matches"));
+		this._status?.toggleClass("esc-tester-error", !!error);
+		this._show();
+	}
+
+	/**
+	 * Move to the previous or next match, wrapping around.
+	 * @private
+	 * @param {number} delta
+	 */
+	_step(delta) {
+		const n = this._matches.length;
+		if (!n) return;
+		this._index = (this._index + delta + n) % n;
+		this._show();
+	}
+
+	/**
+	 * Outline all matches, highlight the current one and describe it.
+	 * @private
+	 */
+	_show() {
+		const current = this._matches[this._index] || null;
+		if (current) {
+			try { current.scrollIntoView({ block: "nearest", inline: "nearest" }); } catch { }
+		}
+		this._actions.show(this._matches, current);
+		this._current?.setText(current ? (this._index + 1) + " / " + this._matches.length + " — " + this._actions.label(current) : "");
+	}
+}
+
+/**
+ * Picks a structure snapshot to compare with, newest first.
+ * @extends {FuzzySuggestModal<import("obsidian").TFile>}
+ */
+class SnapshotSuggestModal extends FuzzySuggestModal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {import("obsidian").TFile[]} files
+	 * @param {(file: import("obsidian").TFile) => any} onChoose
+	 */
+	constructor(app, files, onChoose) {
+		super(app);
+		this._files = files;
+		this._onChoose = onChoose;
+		this.setPlaceholder("Compare with snapshot…");
+	}
+
+	getItems() {
+		return this._files;
+	}
+
+	/** @param {import("obsidian").TFile} file */
+	getItemText(file) {
+		return file.basename;
+	}
+
+	/** @param {import("obsidian").TFile} file */
+	onChooseItem(file) {
+		this._onChoose(file);
+	}
+}
+
+/**
+ * An action of a menu item's submenu, for when the running Obsidian has no submenus.
+ * @typedef {{ title: string, run: (evt: MouseEvent | KeyboardEvent) => any }} MenuAction
+ */
+
+/**
+ * Stands in for a submenu on Obsidian versions without MenuItem.setSubmenu: records the items
+ * added to it, including nested submenus, as a flat list of actions titled "body › Copy as › SCSS".
+ */
+class SubmenuActions {
+	/**
+	 * @param {string} [prefix] Titles of the enclosing items.
+	 * @param {MenuAction[]} [actions] Shared with the enclosing submenu.
+	 */
+	constructor(prefix = "", actions = []) {
+		this._prefix = prefix;
+		this.actions = actions;
+	}
+
+	/**
+	 * Same use as Menu.addItem; only the item methods the ancestor menus call do anything.
+	 * @param {(item: any) => any} cb
+	 * @returns {this}
+	 */
+	addItem(cb) {
+		let title = "";
+		const item = {
+			setTitle: (/** @type {string} */ t) => { title = String(t); return item; },
+			setIcon: () => item,
+			setChecked: () => item,
+			onClick: (/** @type {MenuAction["run"]} */ run) => {
+				this.actions.push({ title: this._prefix + title, run });
+				return item;
+			},
+			setSubmenu: () => new SubmenuActions(this._prefix + title + " › ", this.actions)
+		};
+		cb(item);
+		return this;
+	}
+}
+
+/**
+ * Lists the submenu actions of every ancestor in a menu, on Obsidian versions without submenus.
+ * @extends {FuzzySuggestModal<MenuAction>}
+ */
+class MenuActionsModal extends FuzzySuggestModal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {MenuAction[]} actions Titled "ancestor › action".
+	 */
+	constructor(app, actions) {
+		super(app);
+		this._actions = actions;
+		this.setPlaceholder("Find an action for an ancestor…");
+	}
+
+	getItems() {
+		return this._actions;
+	}
+
+	/** @param {MenuAction} action */
+	getItemText(action) {
+		return action.title;
+	}
+
+	/**
+	 * @param {MenuAction} action
+	 * @param {MouseEvent | KeyboardEvent} evt
+	 */
+	onChooseItem(action, evt) {
+		action.run(evt);
+	}
+}
+
+/**
+ * Tokens coloured in the preview: comments, strings, inline code (markdown selectors),
+ * property names and selectors. Each capture group maps to a class in PREVIEW_MARKS.
+ */
+const PREVIEW_TOKENS = /(\/\*.*?\*\/|\/\/.*)|("(?:[^"\\]|\\.)*")|(`[^`]*`)|^(\s*[\w-]+)(?=: )|^(\s*[^\s{}"][^{}]*?)(?= \{)/g;
+
+/** Mark decorations for the capture groups of PREVIEW_TOKENS, in group order. */
+const PREVIEW_MARKS = ["esc-tok-comment", "esc-tok-string", "esc-tok-selector", "esc-tok-property", "esc-tok-selector"]
+	.map((cls) => Decoration.mark({ class: cls }));
+
+/** Highlights PREVIEW_TOKENS in the visible part of the preview editor. */
+const previewHighlighter = (() => {
+	const decorator = new MatchDecorator({
+		regexp: PREVIEW_TOKENS,
+		decoration: (m) => PREVIEW_MARKS[Math.max(0, m.slice(1).findIndex((g) => g !== undefined))]
+	});
+	return ViewPlugin.fromClass(class {
+		/** @param {import("@codemirror/view").EditorView} view */
+		constructor(view) {
+			this.decorations = decorator.createDeco(view);
+		}
+
+		/** @param {import("@codemirror/view").ViewUpdate} update */
+		update(update) {
+			this.decorations = decorator.updateDeco(update, this.decorations);
+		}
+	}, { decorations: (v) => v.decorations });
+})();
+
+/**
+ * Indentation-based folds: for each line number that starts a fold, the number of the last
+ * following line indented deeper than it. Blank lines do not end a fold.
+ * @param {string} text
+ * @returns {Map<number, number>}
+ */
+function indentFolds(text) {
+	/** @type {Map<number, number>} */
+	const folds = new Map();
+	/** @type {{ line: number, indent: number }[]} */
+	const open = [];
+	let last = 0;
+	text.split("\n").forEach((line, i) => {
+		if (!line.trim()) return;
+		const indent = line.length - line.trimStart().length;
+		for (let top = open[open.length - 1]; top && top.indent >= indent; top = open[open.length - 1]) {
+			open.pop();
+			if (last > top.line) folds.set(top.line, last);
+		}
+		open.push({ line: i + 1, indent });
+		last = i + 1;
+	});
+	for (const o of open) if (last > o.line) folds.set(o.line, last);
+	return folds;
+}
+
+/**
+ * Preview of a CSS capture in a read-only, foldable editor, with the capture's options.
+ * Changing an option renders the tree again; hovering a line highlights the element(s) behind it.
+ */
+class CssPreviewModal extends Modal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {string} title
+	 * @param {CssOptions} options Starting options; the modal changes its own copy.
+	 * @param {string[]} attributes Attribute names used while the Attributes toggle is on.
+	 * @param {RedactFields} redactFields Fields redacted while the Redact toggle is on.
+	 * @param {{
+	 *   render: (options: CssOptions) => Promise<CssRender | null>,
+	 *   hover: (els: HTMLElement[] | null) => void,
+	 *   output: (render: CssRender, target: OutputTarget) => Promise<boolean>
+	 * }} actions render resolves to null when the capture is cancelled.
+	 */
+	constructor(app, title, options, attributes, redactFields, actions) {
+		super(app);
+		this._title = title;
+		this._options = Object.assign({}, options);
+		this._attributes = attributes;
+		this._redactFields = redactFields;
+		this._actions = actions;
+		/** @type {EditorView | null} */
+		this._view = null;
+		/** @type {CssRender | null} */
+		this._render = null;
+		this._run = 0;
+		this._hoverLine = 0;
+		/** Refresh once slider dragging pauses, instead of on every step. */
+		this._refreshSoon = debounce(() => this._refresh(), 250, true);
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		const o = this._options;
+		this.titleEl.setText("Preview: " + this._title);
+		this.modalEl.addClass("esc-preview-modal");
+
+		const controls = contentEl.createDiv({ cls: "esc-preview-options" });
+		new Setting(controls)
+			.setName("Format")
+			.addDropdown((d) => {
+				for (const [key, f] of Object.entries(FORMATTERS)) d.addOption(key, f.name);
+				d.setValue(o.format || "nested").onChange((v) => {
+					o.format = /** @type {OutputFormat} */ (v);
+					this._refresh();
+				});
+			});
+		new Setting(controls)
+			.setName("Depth")
+			.setDesc("0 = unlimited")
+			.addSlider((sl) => sl
+				.setLimits(0, 20, 1)
+				.setValue(o.maxDepth && Number.isFinite(o.maxDepth) ? o.maxDepth : 0)
+				.setDynamicTooltip()
+				.onChange((v) => {
+					o.maxDepth = v > 0 ? v : Infinity;
+					this._refreshSoon();
+				}));
+		/** @type {[string, "useIds" | "useClasses" | "includeTagIfNoClasses" | "includeNthChild" | "attributePrefix" | "listStateClasses" | "computedStyles" | "pseudoElements" | "interactionStates" | "crossBoundaries"][]} */
+		const toggles = [
+			["IDs", "useIds"],
+			["Classes", "useClasses"],
+			["Tag without classes", "includeTagIfNoClasses"],
+			[":nth-child", "includeNthChild"],
+			["Attribute prefixes", "attributePrefix"],
+			["State classes", "listStateClasses"],
+			["Computed styles", "computedStyles"],
+			["Pseudo-elements", "pseudoElements"],
+			["Interaction states", "interactionStates"],
+			["Shadow roots and frames", "crossBoundaries"]
+		];
+		for (const [name, key] of toggles) {
+			new Setting(controls).setName(name).addToggle((t) => t.setValue(!!o[key]).onChange((v) => {
+				o[key] = v;
+				this._refresh();
+			}));
+		}
+		new Setting(controls).setName("Attributes").addToggle((t) => t
+			.setValue(!!(o.attributes && o.attributes.length))
+			.onChange((v) => {
+				o.attributes = v ? this._attributes : [];
+				this._refresh();
+			}));
+		new Setting(controls).setName("Fuzzy sibling grouping").addToggle((t) => t
+			.setValue(o.siblingGrouping === "fuzzy")
+			.onChange((v) => {
+				o.siblingGrouping = v ? "fuzzy" : "exact";
+				this._refresh();
+			}));
+		new Setting(controls).setName("Redact vault content").addToggle((t) => t
+			.setValue(!!o.redact)
+			.onChange((v) => {
+				o.redact = v ? this._redactFields : null;
+				this._refresh();
+			}));
+
+		const host = contentEl.createDiv({ cls: "esc-preview-editor" });
+		this._view = new EditorView({ parent: host });
+		this._view.dom.addEventListener("mousemove", (e) => this._onHover(e));
+		this._view.dom.addEventListener("mouseleave", () => {
+			this._hoverLine = 0;
+			this._actions.hover(null);
+		});
+		this._status = contentEl.createDiv({ cls: "esc-preview-status" });
+
+		new Setting(contentEl)
+			.addButton((b) => b.setButtonText("Cancel").onClick(() => this.close()))
+			.addButton((b) => {
+				this._saveButton = b;
+				b.setButtonText("Save to snippet").onClick(() => this._send("snippet"));
+			})
+			.addButton((b) => {
+				this._copyButton = b;
+				b.setButtonText("Copy").setCta().onClick(() => this._send("clipboard"));
+			});
+		this._refresh();
+	}
+
+	onClose() {
+		this._run++;
+		this._refreshSoon.cancel();
+		if (this._view) this._view.destroy();
+		this._view = null;
+		this._actions.hover(null);
+		this.contentEl.empty();
+	}
+
+	/**
+	 * Render with the current options and show the result, unless a newer render started meanwhile.
+	 * @private
+	 */
+	async _refresh() {
+		const run = ++this._run;
+		this._status?.setText("Rendering…");
+		this._copyButton?.setDisabled(true);
+		this._saveButton?.setDisabled(true);
+		// a newer refresh or closing the modal stops this capture at its next pause
+		const render = await this._actions.render(Object.assign({}, this._options, { isCancelled: () => run !== this._run }));
+		if (run !== this._run || !this._view) return;
+		this._render = render;
+		this._hoverLine = 0;
+		const text = render ? render.text : "";
+		const folds = indentFolds(text);
+		this._view.setState(EditorState.create({
+			doc: text,
+			extensions: [
+				EditorState.readOnly.of(true),
+				lineNumbers(),
+				foldService.of((/** @type {EditorState} */ state, /** @type {number} */ from) => {
+					const line = state.doc.lineAt(from);
+					const end = folds.get(line.number);
+					return end ? { from: line.to, to: state.doc.line(end).to } : null;
+				}),
+				foldGutter(),
+				keymap.of(foldKeymap),
+				previewHighlighter
+			]
+		}));
+		const lines = render ? render.lines.length : 0;
+		this._status?.setText(render ? render.formatter.name + " — " + lines + (lines === 1 ? " line" : " lines") : "Capture cancelled");
+		this._copyButton?.setDisabled(!render);
+		this._saveButton?.setDisabled(!render || !render.formatter.css);
+		this._saveButton?.setTooltip(render && !render.formatter.css ? "Snippets need a CSS format" : "");
+	}
+
+	/**
+	 * Highlight the element(s) behind the line under the mouse.
+	 * @private
+	 * @param {MouseEvent} e
+	 */
+	_onHover(e) {
+		const view = this._view;
+		if (!view || !this._render) return;
+		const pos = view.posAtCoords({ x: e.clientX, y: e.clientY });
+		const line = pos == null ? 0 : view.state.doc.lineAt(pos).number;
+		if (line === this._hoverLine) return;
+		this._hoverLine = line;
+		const els = line ? this._render.lines[line - 1] : undefined;
+		this._actions.hover(els && els.length ? els : null);
+	}
+
+	/**
+	 * Copy or save the current render and close when it was delivered.
+	 * @private
+	 * @param {OutputTarget} target
+	 */
+	async _send(target) {
+		if (!this._render) return;
+		if (await this._actions.output(this._render, target)) this.close();
+	}
+}
+
+/** Rows shown per expanded element in the explorer; the rest is summarised in one line. */
+const EXPLORER_ROW_LIMIT = 300;
+
+/**
+ * Tree of an element's children, expanded one level at a time, with the siblings of the clicked
+ * element listed above it. Hovering a row highlights its element; each row has the CSS and Path
+ * actions of the ancestor menus.
+ */
+class ElementExplorerModal extends Modal {
+	/**
+	 * @param {import("obsidian").App} app
+	 * @param {string} title
+	 * @param {HTMLElement} root Ancestor whose children are explored.
+	 * @param {HTMLElement} target The clicked element, marked wherever it shows up.
+	 * @param {{
+	 *   children: (el: HTMLElement) => {el: HTMLElement, boundary: Boundary}[],
+	 *   count: (el: HTMLElement) => number,
+	 *   label: (entry: {el: HTMLElement, boundary: Boundary}) => string,
+	 *   siblings: {el: HTMLElement, boundary: Boundary}[],
+	 *   hover: (el: HTMLElement | null) => void,
+	 *   css: (el: HTMLElement, evt: MouseEvent) => void,
+	 *   path: (el: HTMLElement) => void
+	 * }} actions
+	 */
+	constructor(app, title, root, target, actions) {
+		super(app);
+		this._title = title;
+		this._root = root;
+		this._target = target;
+		this._actions = actions;
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		this.titleEl.setText(this._title);
+		this.modalEl.addClass("esc-explorer-modal");
+		if (this._actions.siblings.length > 1) {
+			contentEl.createEl("h6", { text: "Siblings of the clicked element" });
+			this._list(contentEl.createDiv({ cls: "esc-explorer-tree" }), this._actions.siblings, 0);
+		}
+		contentEl.createEl("h6", { text: "Children" });
+		const kids = this._actions.children(this._root);
+		if (!kids.length) contentEl.createEl("p", { cls: "setting-item-description", text: "No child elements." });
+		else this._list(contentEl.createDiv({ cls: "esc-explorer-tree" }), kids, 0);
+	}
+
+	onClose() {
+		this._actions.hover(null);
+		this.contentEl.empty();
+	}
+
+	/**
+	 * @private
+	 * @param {HTMLElement} box
+	 * @param {{el: HTMLElement, boundary: Boundary}[]} entries
+	 * @param {number} depth
+	 */
+	_list(box, entries, depth) {
+		if (!entries.length) {
+			const none = box.createDiv({ cls: "esc-explorer-more", text: "No child elements" });
+			none.style.setProperty("--esc-depth", String(depth));
+		}
+		for (const e of entries.slice(0, EXPLORER_ROW_LIMIT)) this._row(box, e, depth);
+		if (entries.length > EXPLORER_ROW_LIMIT) {
+			const more = box.createDiv({ cls: "esc-explorer-more", text: "+" + (entries.length - EXPLORER_ROW_LIMIT) + " more" });
+			more.style.setProperty("--esc-depth", String(depth));
+		}
+	}
+
+	/**
+	 * One element row. The count comes from the element's child counts; its children and their
+	 * labels are only looked up when the row is first expanded.
+	 * @private
+	 * @param {HTMLElement} box
+	 * @param {{el: HTMLElement, boundary: Boundary}} entry
+	 * @param {number} depth
+	 */
+	_row(box, entry, depth) {
+		const { el } = entry;
+		const row = box.createDiv({ cls: "esc-explorer-row" + (el === this._target ? " is-current" : "") });
+		row.style.setProperty("--esc-depth", String(depth));
+		const count = this._actions.count(el);
+		const toggle = row.createSpan({ cls: "esc-explorer-toggle" });
+		if (count) setIcon(toggle, "chevron-right");
+		row.createSpan({ cls: "esc-mono esc-explorer-label", text: this._actions.label(entry) });
+		if (count) row.createSpan({ cls: "esc-explorer-count", text: String(count) });
+		row.createEl("button", { text: "CSS" }).addEventListener("click", (evt) => {
+			evt.stopPropagation();
+			this.close();
+			this._actions.css(el, evt);
+		});
+		row.createEl("button", { text: "Path" }).addEventListener("click", (evt) => {
+			evt.stopPropagation();
+			this.close();
+			this._actions.path(el);
+		});
+		row.addEventListener("mouseenter", () => this._actions.hover(el));
+		row.addEventListener("mouseleave", () => this._actions.hover(null));
+		if (!count) return;
+		/** @type {HTMLElement | null} */
+		let nested = null;
+		row.addEventListener("click", () => {
+			const open = !nested || !nested.isShown();
+			if (!nested) {
+				nested = box.createDiv();
+				row.after(nested);
+				this._list(nested, this._actions.children(el), depth + 1);
+			} else nested.toggle(open);
+			setIcon(toggle, open ? "chevron-down" : "chevron-right");
+		});
+	}
+}
+// #endregion __Modals
+
+// #region __HistoryView
+/**
+ * Sidebar list of past captures with copy, highlight, regenerate, pin and delete actions.
+ */
+class SnatchHistoryView extends ItemView {
+	/**
+	 * @param {import("obsidian").WorkspaceLeaf} leaf
+	 * @param {ElementSnatchCssPlugin} plugin
+	 */
+	constructor(leaf, plugin) {
+		super(leaf);
+		this.plugin = plugin;
+	}
+
+	getViewType() {
+		return VIEW_TYPE_HISTORY;
+	}
+
+	getDisplayText() {
+		return "Snatch history";
+	}
+
+	getIcon() {
+		return "history";
+	}
+
+	async onOpen() {
+		this.render();
+	}
+
+	async onClose() {
+		this.contentEl.empty();
+	}
+
+	/**
+	 * Rebuild the list from the plugin's history, pinned entries first, newest first.
+	 */
+	render() {
+		const plugin = this.plugin;
+		const root = this.contentEl;
+		root.empty();
+		root.addClass("esc-history");
+		const entries = plugin.history.slice().sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.time - a.time));
+		const bar = root.createDiv({ cls: "esc-history-bar" });
+		bar.createSpan({ text: entries.length + (entries.length === 1 ? " capture" : " captures") });
+		const clear = bar.createEl("button", { text: "Clear unpinned" });
+		clear.addEventListener("click", () => plugin.clearHistory());
+		if (!entries.length) {
+			root.createDiv({ cls: "esc-history-empty", text: "Captures from the CSS and Path menus appear here." });
+			return;
+		}
+		for (const entry of entries) {
+			const item = root.createDiv({ cls: "esc-history-item" + (entry.pinned ? " is-pinned" : "") });
+			const head = item.createDiv({ cls: "esc-history-head" });
+			head.createSpan({ cls: "esc-history-mode", text: entry.mode === "path" ? "Path" : FORMATTERS[entry.format || "nested"].name });
+			head.createSpan({ cls: "esc-history-label", text: entry.label });
+			head.createSpan({ cls: "esc-history-time", text: new Date(entry.time).toLocaleString() });
+			item.createDiv({ cls: "esc-mono esc-history-selector", text: entry.selector });
+			const lines = entry.text.split("\n");
+			item.createEl("pre", { cls: "esc-mono", text: lines.slice(0, 6).join("\n") + (lines.length > 7 ? "\n…" : "") });
+			const actions = item.createDiv({ cls: "esc-history-actions" });
+			/** @type {(text: string, fn: () => any) => void} */
+			const button = (text, fn) => actions.createEl("button", { text }).addEventListener("click", fn);
+			button("Copy", () => plugin.copyCapture(entry));
+			if (!entry.redacted) {
+				button("Highlight", () => plugin.highlightCapture(entry));
+				button("Regenerate", () => plugin.regenerateCapture(entry));
+			}
+			button(entry.pinned ? "Unpin" : "Pin", () => plugin.updateHistory(entry.id, { pinned: !entry.pinned }));
+			button("Delete", () => plugin.deleteHistory(entry.id));
+		}
+	}
+}
+// #endregion __HistoryView
+
+// #region __Plugin
+/**
+ * Obsidian plugin that generates nested CSS selectors for a clicked element.
+ * Ctrl/Cmd+Middle opens the CSS menu; Ctrl/Cmd+Shift+Middle opens the path menu (both configurable).
+ */
+module.exports = class ElementSnatchCssPlugin extends Plugin {
+
+	// #region __Plugin_private_members
+	/**
+	 * @private
+	 * @member
+	 * @type {Set<Noticer>}
+	 */
+	_noticers = new Set();
+	/**
+	 * @private
+	 * @member
+	 * @type {boolean}
+	 */
+	_debug = false;
+	/**
+	 * Button of the trigger handled by the last mousedown (-1 for none); the click, auxclick or
+	 * contextmenu that follows it is swallowed.
+	 * @private
+	 * @member
+	 * @type {number}
+	 */
+	_swallowButton = -1;
+	/**
+	 * Active picker session, if any.
+	 * @private
+	 * @member
+	 * @type {PickerState | null}
+	 */
+	_picker = null;
+	/**
+	 * Timer that hides a temporary highlight (history "Highlight").
+	 * @private
+	 * @member
+	 * @type {ReturnType<typeof setTimeout> | null}
+	 */
+	_hiTimer = null;
+	/**
+	 * Compiled class filter rules; rebuilt lazily after settings change.
+	 * @private
+	 * @member
+	 * @type {ClassRules | null}
+	 */
+	_classRules = null;
+	/**
+	 * Documents with trigger listeners (main window, popouts and same-origin frames seen so far),
+	 * with the window that shows them and a function removing the listeners.
+	 * @private
+	 * @member
+	 * @type {Map<Document, {win: Window, dispose: () => void}>}
+	 */
+	_watchedDocs = new Map();
+	/**
+	 * Enabled plugins using each class in their styles.css, for {@link _ownerFor}. The key is the
+	 * list of enabled plugins it was built for; a pending build is kept so it runs once.
+	 * @private
+	 * @member
+	 * @type {{key: string, classes: Map<string, string[]>} | null}
+	 */
+	_ownerIndex = null;
+	/**
+	 * @private
+	 * @member
+	 * @type {Promise<void> | null}
+	 */
+	_ownerIndexBuild = null;
+	// #endregion __Plugin_private_members
+
+	// #region __Plugin_public_members
+	/**
+	 * @member
+	 * @type {ElementSnatchSettings}
+	 */
+	settings = structuredClone(DEFAULT_SETTINGS);
+	/**
+	 * Saved captures, stored next to the settings in plugin data.
+	 * @member
+	 * @type {HistoryEntry[]}
+	 */
+	history = [];
+	/**
+	 * API for other plugins, see {@link SnatchApi}.
+	 * @member
+	 * @type {SnatchApi}
+	 */
+	api = this._createApi();
+	// #endregion __Plugin_public_members
+
+	// #region __Plugin_events
+	/**
+	 * Plugin entry point: load settings, bind mouse handler and register DOM events.
+	 */
+	async onload() {
+		this._debug = false; // set to true in dev console to enable verbose logging
+		await this.loadSettings();
+		this.addSettingTab(new ElementSnatchSettingTab(this.app, this));
+		this.registerView(VIEW_TYPE_HISTORY, (leaf) => new SnatchHistoryView(leaf, this));
+		this._onMouseDown = this._onMouseDown.bind(this);
+		this._onSwallowClick = this._onSwallowClick.bind(this);
+		this._onFrameHover = this._onFrameHover.bind(this);
+		this._watchDocument(document);
+		this.registerEvent(this.app.workspace.on("window-open", (_win, win) => this._watchDocument(win.document)));
+		this.registerEvent(this.app.workspace.on("window-close", (_win, win) => this._unwatchWindow(win)));
+		// popouts restored with the layout may open before the handler above is registered
+		this.app.workspace.onLayoutReady(() => {
+			this.app.workspace.iterateAllLeaves((leaf) => this._watchDocument(leaf.view.containerEl.doc));
+			// so the first menu already has plugin owners
+			if (this.settings.guessOwners) this._refreshOwnerIndex();
+		});
+		this.registerObsidianProtocolHandler(LINK_ACTION, (params) => this._onLink(params));
+		this.addCommand({
+			id: "pick-element-css",
+			name: "Pick element for CSS menu",
+			callback: () => this._startPicker("css")
+		});
+		this.addCommand({
+			id: "pick-element-path",
+			name: "Pick element for Path menu",
+			callback: () => this._startPicker("path")
+		});
+		this.addCommand({
+			id: "test-selector",
+			name: "Test selector",
+			callback: () => this._openSelectorTester()
+		});
+		this.addCommand({
+			id: "compare-snapshot",
+			name: "Compare with structure snapshot",
+			callback: () => this._openSnapshotCompare()
+		});
+		this.addCommand({
+			id: "audit-selectors",
+			name: "Audit snippet selectors",
+			callback: () => this._auditSelectors()
+		});
+		this.addCommand({
+			id: "open-history",
+			name: "Open snatch history",
+			callback: () => this._openHistoryView()
+		});
+		if (this._debug) console.log("[element-snatch-css] loaded");
+	}
+
+	/**
+	 * Plugin teardown: dispose notices and highlighter.
+	 */
+	onunload() {
+		try { Noticer.disposeAll(); } catch (e) { if (this._debug) console.error(e); }
+		if (this._debug) console.log("[element-snatch-css] unloaded");
+		this._stopPicker();
+		if (this._hiTimer) { clearTimeout(this._hiTimer); this._hiTimer = null; }
+		this._disposeHighlighter();
+		for (const { dispose } of this._watchedDocs.values()) dispose();
+		this._watchedDocs.clear();
+	}
+	// #endregion __Plugin_events
+
+	// #region __Plugin_settings
+	/**
+	 * Load saved settings over the defaults (nested trigger objects are merged too),
+	 * and the capture history stored alongside them. A history left in {@link HISTORY_FILE}
+	 * by an earlier version is moved back into plugin data.
+	 */
+	async loadSettings() {
+		const { history, ...saved } = (await this.loadData()) || {};
+		const legacy = await this._loadHistoryFile();
+		this.history = legacy || (Array.isArray(history) ? history : []);
+		const defaults = structuredClone(DEFAULT_SETTINGS);
+		this.settings = Object.assign(defaults, saved, {
+			cssTrigger: Object.assign(defaults.cssTrigger, saved.cssTrigger),
+			pathTrigger: Object.assign(defaults.pathTrigger, saved.pathTrigger),
+			redactFields: Object.assign(defaults.redactFields, saved.redactFields)
+		});
+		// a hand-edited data.json must not lock plain clicks
+		for (const key of /** @type {("cssTrigger" | "pathTrigger")[]} */ (["cssTrigger", "pathTrigger"])) {
+			if (!locksOutClicks(this.settings[key])) continue;
+			this.settings[key] = structuredClone(DEFAULT_SETTINGS[key]);
+			new Noticer().show("Element Snatch: " + LOCKOUT_MESSAGE + " The " + (key === "cssTrigger" ? "CSS" : "Path") + " menu trigger was reset.", 10000);
+		}
+		if (legacy) {
+			this.trimHistory();
+			await this.saveSettings();
+			await this._removeHistoryFile();
+		}
+	}
+
+	/**
+	 * Persist the current settings together with the history, which {@link trimHistory} keeps
+	 * within the history size.
+	 */
+	async saveSettings() {
+		this._classRules = null;
+		await this.saveData(Object.assign({}, this.settings, { history: this.history }));
+	}
+
+	/**
+	 * Selector-building options derived from settings.
+	 * ### Callers
+	 * - {@link _cssOptions}
+	 * - {@link _openMenuForCss}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @returns {SelectorOptions}
+	 */
+	_selectorOptions() {
+		const s = this.settings;
+		return {
+			useIds: s.useIds,
+			useClasses: s.useClasses,
+			includeNthChild: s.includeNthChild,
+			attributes: this._attributeNames()
+		};
+	}
+
+	/**
+	 * Attribute names from the priority setting, or none when attributes are off.
+	 * @private
+	 * @returns {string[]}
+	 */
+	_attributeNames() {
+		const s = this.settings;
+		if (!s.useAttributes) return [];
+		return String(s.attributePriority || "").split(/[\s,]+/).filter(Boolean);
+	}
+
+	/**
+	 * Options for {@link _css} derived from settings.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * @private
+	 */
+	_cssOptions() {
+		const s = this.settings;
+		const skipTags = new Set(String(s.skipTags || "").split(/[\s,]+/).filter(Boolean).map((t) => t.toUpperCase()));
+		return Object.assign(this._selectorOptions(), {
+			indent: s.indent,
+			maxDepth: s.maxDepth > 0 ? s.maxDepth : Infinity,
+			maxNodes: s.maxNodes,
+			maxTextLength: s.maxTextLength,
+			listStateClasses: s.listStateClasses,
+			attributePrefix: true,
+			computedStyles: s.computedStyles,
+			pseudoElements: s.pseudoElements,
+			interactionStates: s.interactionStates,
+			crossBoundaries: s.crossBoundaries,
+			siblingGrouping: s.siblingGrouping,
+			format: s.outputFormat,
+			skipTags,
+			redact: s.redactOutput ? this._redactFields() : null,
+			isVaultPath: (/** @type {string} */ v) => this._isVaultPath(v)
+		});
+	}
+
+	/**
+	 * Copy of the redaction fields from the settings with a fresh salt, for one capture.
+	 * @private
+	 * @returns {RedactFields}
+	 */
+	_redactFields() {
+		return Object.assign({}, this.settings.redactFields, { salt: redactSalt() });
+	}
+
+	/**
+	 * Whether an attribute value names a file or folder of the vault, for redaction.
+	 * @private
+	 * @param {string} value
+	 * @returns {boolean}
+	 */
+	_isVaultPath(value) {
+		const path = value.replace(/\/+$/, "");
+		if (!path || path.length > 500) return false;
+		try {
+			return !!this.app.vault.getAbstractFileByPath(normalizePath(path));
+		} catch (e) {
+			if (this._debug) console.error(e);
+			return false;
+		}
+	}
+
+	/**
+	 * Describe a full trigger gesture, e.g. "Ctrl+Middle".
+	 * @param {MouseTrigger} t
+	 * @returns {string}
+	 */
+	_describeTrigger(t) {
+		const button = MOUSE_BUTTONS[/** @type {keyof MOUSE_BUTTONS} */ (String(t.button))] || ("Button " + t.button);
+		const mods = describeModifiers(t);
+		return mods ? mods + "+" + button : button;
+	}
+	// #endregion __Plugin_settings
+
+	// #region __Plugin_utils
+	/**
+	 * Show a timed Notice via a fresh Noticer instance and register it in the plugin set.
+	 * @private
+	 * @param {string} message Message to display in the Notice.
+	 * @param {number} timeoutMs Duration in milliseconds to keep the Notice visible.
+	 * @returns {Noticer} The created Noticer instance.
+	 */
+	_withNotice(message, timeoutMs) {
+		const n = new Noticer().show(message, timeoutMs);
+		this._noticers.add(n);
+		// when it disposes, remove from set (best-effort via timeout)
+		setTimeout(() => { this._noticers.delete(n); }, (Number.isFinite(timeoutMs) ? Math.max(0, timeoutMs | 0) : 3000) + 1000);
+		return n;
+	}
+
+	/**
+	 * Copy text to the clipboard using Electron when available, falling back to the Web Clipboard API.
+	 * @private
+	 * @param {string} s
+	 * @returns {Promise<boolean>} Whether the copy succeeded.
+	 */
+	async _copyText(s) {
+		const text = String(s == null ? "" : s);
+		try {
+			const { clipboard } = Electron;
+			if (clipboard && typeof clipboard.writeText === "function") {
+				clipboard.writeText(text);
+				return true;
+			}
+		} catch (e) { if (this._debug) console.error(e); }
+		try {
+			if (navigator && navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+				await navigator.clipboard.writeText(text);
+				return true;
+			}
+		} catch (e) { if (this._debug) console.error(e); }
+		return false;
+	}
+
+	/**
+	 * Send generated text to the clipboard or the configured snippet, with a Notice either way.
+	 * ### Callers
+	 * - {@link _css}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {string} text
+	 * @param {string} what Noun for the Notice, e.g. "Nested CSS".
+	 * @param {OutputTarget} [target] Defaults to the outputTarget setting.
+	 * @param {string} [label] Element label recorded in the snippet comment.
+	 * @returns {Promise<boolean>} Whether the output was delivered.
+	 */
+	async _output(text, what, target = this.settings.outputTarget, label = "") {
+		if (target === "snippet") return this._writeSnippet(text, what, label);
+		const ok = await this._copyText(text);
+		try { this._withNotice(ok ? what + " copied" : "Copy failed", ok ? 5000 : 10000); } catch (e) { if (this._debug) console.error(e); }
+		if (!ok && this._debug) console.log(text);
+		return ok;
+	}
+
+	/**
+	 * Append to (or replace) the configured CSS snippet in the vault, then reload snippets
+	 * and offer to enable it when it is disabled.
+	 * ### Callers
+	 * - {@link _output}
+	 * @private
+	 * @param {string} text
+	 * @param {string} what Noun for the Notice.
+	 * @param {string} label Element label recorded in the snippet comment.
+	 * @returns {Promise<boolean>} Whether the file was written.
+	 */
+	async _writeSnippet(text, what, label) {
+		const name = String(this.settings.snippetName || DEFAULT_SETTINGS.snippetName)
+			.trim().replace(/\.css$/i, "").replace(/[\\/:*?"<>|]/g, "-") || DEFAULT_SETTINGS.snippetName;
+		const adapter = this.app.vault.adapter;
+		const dir = normalizePath(this.app.vault.configDir + "/snippets");
+		const path = normalizePath(dir + "/" + name + ".css");
+		const header = "/* element-snatch: " + (label ? label.replace(/\*\//g, "* /") + " — " : "") + new Date().toISOString() + " */\n";
+		try {
+			if (!(await adapter.exists(dir))) await adapter.mkdir(dir);
+			if (this.settings.snippetMode === "append" && await adapter.exists(path)) {
+				await adapter.append(path, "\n" + header + text);
+			} else {
+				await adapter.write(path, header + text);
+			}
+		} catch (e) {
+			console.error("[element-snatch-css] snippet write failed", e);
+			this._withNotice("Could not write snippet " + name + ".css", 10000);
+			return false;
+		}
+		this._withNotice(what + (this.settings.snippetMode === "append" ? " appended to " : " written to ") + name + ".css", 5000);
+
+		// @ts-ignore (internal API)
+		const customCss = this.app.customCss;
+		if (!customCss) return true;
+		try { if (typeof customCss.requestLoadSnippets === "function") await customCss.requestLoadSnippets(); } catch (e) { if (this._debug) console.error(e); }
+		const enabled = customCss.enabledSnippets && customCss.enabledSnippets.has(name);
+		const enable = () => {
+			try {
+				customCss.setCssEnabledStatus(name, true);
+				this._withNotice("Snippet " + name + ".css enabled", 3000);
+			} catch (e) { if (this._debug) console.error(e); }
+		};
+		if (!enabled && this.settings.snippetEnable === "always") enable();
+		else if (!enabled && this.settings.snippetEnable === "ask") {
+			new ConfirmModal(this.app, "Enable snippet?", "The snippet " + name + ".css is not enabled.", "Enable", enable).open();
+		}
+		return true;
+	}
+
+	/**
+	 * Escape an arbitrary string for safe use in a CSS selector.
+	 * @private
+	 * @param {string} str
+	 * @returns {string}
+	 */
+	_cssEscape(str) {
+		// plugin code always runs in the main window, whose CSS.escape works for popout elements too
+		if (window.CSS && typeof window.CSS.escape === "function") return CSS.escape(str);
+		return String(str).replace(/[^a-zA-Z0-9_-]/g, function (c) {
+			return "\\" + c.charCodeAt(0).toString(16) + " ";
+		});
+	}
+
+	/**
+	 * Whether a mouse event matches a configured trigger. Ctrl and Cmd are treated alike.
+	 * @private
+	 * @param {MouseEvent} e
+	 * @param {MouseTrigger} t
+	 * @returns {boolean}
+	 */
+	_matchesTrigger(e, t) {
+		return e.button === t.button
+			&& (e.ctrlKey || e.metaKey) === !!t.mod
+			&& e.shiftKey === !!t.shift
+			&& e.altKey === !!t.alt;
+	}
+
+	/**
+	 * Handle the configured mouse triggers to open menus.
+	 * - CSS trigger (default Ctrl/Cmd + Middle): CSS menu
+	 * - Path trigger (default Ctrl/Cmd + Shift + Middle): Path menu
+	 * @private
+	 * @event
+	 * @param {MouseEvent} e
+	 */
+	_onMouseDown(e) {
+		if (this._debug) console.log("[element-snatch-css] mousedown", e);
+		this._swallowButton = -1;
+		try {
+			if (this._matchesTrigger(e, this.settings.cssTrigger)) {
+				if (this._debug) console.log("[element-snatch-css] mousedown OK _openMenuForCss", e);
+				e.preventDefault();
+				e.stopPropagation();
+				this._swallowButton = e.button;
+				const target = this._eventTarget(e);
+				this._openMenuForCss(target, this._topMouseEvent(e, target), target);
+			} else if (this._matchesTrigger(e, this.settings.pathTrigger)) {
+				if (this._debug) console.log("[element-snatch-css] mousedown OK _openMenuForPath", e);
+				e.preventDefault();
+				e.stopPropagation();
+				this._swallowButton = e.button;
+				const target = this._eventTarget(e);
+				this._openMenuForPath(target, this._topMouseEvent(e, target), target);
+			}
+		} catch (err) {
+			console.error("[element-snatch-css] onMouseDown error:", err);
+		}
+	}
+
+	/**
+	 * The element an event really happened on: the first entry of the composed path, so clicks
+	 * inside open shadow roots are not retargeted to their host. Falls back to the active document's body.
+	 * Checked with nodeType rather than instanceof, which fails for elements of other frames.
+	 * @private
+	 * @param {Event} e
+	 * @returns {HTMLElement}
+	 */
+	_eventTarget(e) {
+		const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+		const first = /** @type {Node | null} */ (path[0] || e.target);
+		const el = first && first.nodeType === 1 ? first : first && first.parentElement;
+		return /** @type {HTMLElement} */ (el || activeDocument.body);
+	}
+
+	/**
+	 * A mouse event for positioning menus in the top-level window: events from inside a frame
+	 * carry frame-relative coordinates, so a copy shifted by the frame offsets is returned.
+	 * @private
+	 * @param {MouseEvent} e
+	 * @param {Element} target
+	 * @returns {MouseEvent}
+	 */
+	_topMouseEvent(e, target) {
+		const offset = this._frameOffset(target.ownerDocument);
+		if (!offset.x && !offset.y) return e;
+		return new MouseEvent("mousedown", { clientX: e.clientX + offset.x, clientY: e.clientY + offset.y });
+	}
+
+	/**
+	 * Register the trigger listeners on a document once: mousedown, the click swallowers and
+	 * a mouseover hook that watches same-origin frames when the pointer first enters them.
+	 * Listeners are added by hand rather than with registerDomEvent so they can be removed
+	 * when a popout window closes (see {@link _unwatchWindow}).
+	 * ### Callers
+	 * - {@link onload}
+	 * - {@link _onFrameHover}
+	 * @private
+	 * @param {Document} doc
+	 */
+	_watchDocument(doc) {
+		if (this._watchedDocs.has(doc)) return;
+		// forget documents of frames that navigated away or windows that are gone
+		for (const [d, w] of this._watchedDocs) {
+			if (!d.defaultView) { w.dispose(); this._watchedDocs.delete(d); }
+		}
+		const swallowTypes = /** @type {const} */ (["click", "auxclick", "contextmenu"]);
+		doc.addEventListener("mousedown", this._onMouseDown, true);
+		for (const type of swallowTypes) doc.addEventListener(type, this._onSwallowClick, true);
+		doc.addEventListener("mouseover", this._onFrameHover, true);
+		this._watchedDocs.set(doc, {
+			win: this._hostWindow(doc),
+			dispose: () => {
+				doc.removeEventListener("mousedown", this._onMouseDown, true);
+				for (const type of swallowTypes) doc.removeEventListener(type, this._onSwallowClick, true);
+				doc.removeEventListener("mouseover", this._onFrameHover, true);
+			}
+		});
+	}
+
+	/**
+	 * Clean up after a closed popout window: remove the listeners of its document and frames,
+	 * and the picker or highlighter if they were showing there.
+	 * @private
+	 * @param {Window} win
+	 */
+	_unwatchWindow(win) {
+		for (const [doc, w] of this._watchedDocs) {
+			if (w.win === win) { w.dispose(); this._watchedDocs.delete(doc); }
+		}
+		if (this._picker && this._picker.win === win) this._stopPicker();
+		if (this._hiDiv && this._hiDiv.ownerDocument === win.document) this._disposeHighlighter();
+	}
+
+	/**
+	 * The top-level window (main or popout) that shows a document, following same-origin frames up.
+	 * @private
+	 * @param {Document} doc
+	 * @returns {Window}
+	 */
+	_hostWindow(doc) {
+		let win = doc.defaultView;
+		try {
+			while (win && win.frameElement) win = win.frameElement.ownerDocument.defaultView;
+		} catch (e) { if (this._debug) console.error(e); }
+		return win || window;
+	}
+
+	/**
+	 * Start watching a same-origin frame's document when the pointer enters the frame.
+	 * Mouse events inside a frame never reach the outer document, and a frame's document
+	 * is replaced when it navigates, so this runs on every hover and is cheap when already watched.
+	 * Cross-origin frames and webviews throw or return null here and stay unreachable.
+	 * @private
+	 * @event
+	 * @param {MouseEvent} e
+	 */
+	_onFrameHover(e) {
+		const el = this._eventTarget(e);
+		if (el.tagName !== "IFRAME" && el.tagName !== "FRAME") return;
+		try {
+			const doc = /** @type {HTMLIFrameElement} */ (el).contentDocument;
+			if (doc) this._watchDocument(doc);
+		} catch (err) { if (this._debug) console.error(err); }
+	}
+
+	/**
+	 * Swallow the click/auxclick/contextmenu that follows a handled trigger, so left- and
+	 * right-button triggers do not also activate the element or open Obsidian's own menu.
+	 * @private
+	 * @event
+	 * @param {MouseEvent} e
+	 */
+	_onSwallowClick(e) {
+		if (this._swallowButton < 0 || e.button !== this._swallowButton) return;
+		e.preventDefault();
+		e.stopPropagation();
+	}
+	// #endregion __Plugin_utils
+
+	// #region __Plugin_highlight
+	/**
+	 * Ensure a singleton <style> for highlighter animations is present in a window's document.
+	 * Contains a hue-rotate keyframes animation.
+	 * @private
+	 * @param {Document} doc
+	 */
+	_ensureHighlighterStyle(doc) {
+		// Prefer reusing an existing style element by id to avoid duplicates across reloads
+		const existing = doc.getElementById("esc-hi-style");
+		if (existing) { this._hiStyle = existing; return; }
+		if (this._hiStyle && doc.head.contains(this._hiStyle)) return;
+		const style = doc.createElement("style");
+		style.id = "esc-hi-style";
+		style.textContent = [
+			"@property --escHue {",
+			"  syntax: '<number>';",
+			"  inherits: false;",
+			"  initial-value: 0;",
+			"}",
+			"@keyframes escHueAnim {",
+			"  from { --escHue: 0; }",
+			"  to   { --escHue: 360; }",
+			"}"
+		].join("\n");
+		doc.head.appendChild(style);
+		this._hiStyle = style;
+	}
+
+	/**
+	 * Create (or return) the singleton highlighter div in a window's document.
+	 * The highlighter is positioned using getBoundingClientRect() and uses
+	 * transitions for motion with ease-in-out. It moves to another window by being recreated there.
+	 * @private
+	 * @param {Document} doc
+	 */
+	_ensureHighlighter(doc) {
+		if (this._hiDiv && doc.body.contains(this._hiDiv)) return this._hiDiv;
+		if (this._hiDiv) this._disposeHighlighter();
+		this._ensureHighlighterStyle(doc);
+		const d = doc.createElement("div");
+		d.id = "esc-hi";
+		d.setAttribute("aria-hidden", "true");
+		d.style.position = "fixed";
+		d.style.pointerEvents = "none";
+		d.style.zIndex = "999999";
+		d.style.border = "2px dotted";
+		d.style.borderColor = "hsl(" + ("var(--escHue)") + ", 85%, 55%)";
+		d.style.background = "rgba(0,0,0,0.18)";
+		d.style.borderRadius = "4px";
+		d.style.transition = "top 140ms ease-in-out, left 140ms ease-in-out, width 140ms ease-in-out, height 140ms ease-in-out, background-color 140ms ease-in-out, border-color 140ms ease-in-out";
+		d.style.animation = "escHueAnim 8s linear infinite";
+		d.style.boxSizing = "border-box";
+		d.style.display = "none";
+		doc.body.appendChild(d);
+		this._hiDiv = d;
+		return d;
+	}
+
+	/**
+	 * Position and show the highlighter over a given element.
+	 * @private
+	 * @param {Element} el
+	 */
+	_placeHighlighter(el) {
+		const d = this._ensureHighlighter(this._hostWindow(el.ownerDocument).document);
+		try {
+			const r = this._clientRect(el);
+			d.style.display = "block";
+			d.style.top = Math.max(0, r.top - 2) + "px";
+			d.style.left = Math.max(0, r.left - 2) + "px";
+			d.style.width = Math.max(0, r.width + 4) + "px";
+			d.style.height = Math.max(0, r.height + 4) + "px";
+			this._hiTarget = el;
+		} catch (e) { if (this._debug) console.error(e); }
+	}
+
+	/**
+	 * Outline every element of a list in a layer of boxes, next to the main highlighter.
+	 * The layer lives in the window showing the first element and is rebuilt on each call;
+	 * at most 500 boxes are drawn.
+	 * ### Callers
+	 * - {@link _openSelectorTester}
+	 * - {@link _openCssPreview}
+	 * @private
+	 * @param {Element[]} els
+	 */
+	_placeOutlines(els) {
+		this._clearOutlines();
+		if (!els.length) return;
+		const doc = this._hostWindow(els[0].ownerDocument).document;
+		this._ensureHighlighterStyle(doc);
+		const layer = doc.createElement("div");
+		layer.id = "esc-hi-layer";
+		layer.setAttribute("aria-hidden", "true");
+		for (const el of els.slice(0, 500)) {
+			try {
+				const r = this._clientRect(el);
+				const box = doc.createElement("div");
+				box.style.position = "fixed";
+				box.style.pointerEvents = "none";
+				box.style.zIndex = "999998";
+				box.style.boxSizing = "border-box";
+				box.style.border = "1px dashed";
+				box.style.borderColor = "hsl(var(--escHue), 85%, 55%)";
+				box.style.animation = "escHueAnim 8s linear infinite";
+				box.style.top = Math.max(0, r.top - 1) + "px";
+				box.style.left = Math.max(0, r.left - 1) + "px";
+				box.style.width = Math.max(0, r.width + 2) + "px";
+				box.style.height = Math.max(0, r.height + 2) + "px";
+				layer.appendChild(box);
+			} catch (e) { if (this._debug) console.error(e); }
+		}
+		doc.body.appendChild(layer);
+		this._hiLayer = layer;
+	}
+
+	/**
+	 * Remove the outline layer, if any.
+	 * @private
+	 */
+	_clearOutlines() {
+		if (!this._hiLayer) return;
+		try { this._hiLayer.remove(); } catch (e) { if (this._debug) console.error(e); }
+		this._hiLayer = null;
+	}
+
+	/**
+	 * Offset of a document's viewport within the top-level window, summed over the chain of
+	 * same-origin frames that contain it; zero for the top-level document.
+	 * @private
+	 * @param {Document} doc
+	 * @returns {{x: number, y: number}}
+	 */
+	_frameOffset(doc) {
+		let x = 0, y = 0;
+		try {
+			for (let frame = doc.defaultView?.frameElement; frame; frame = frame.ownerDocument.defaultView?.frameElement) {
+				const r = frame.getBoundingClientRect();
+				x += r.left + frame.clientLeft;
+				y += r.top + frame.clientTop;
+			}
+		} catch (e) { if (this._debug) console.error(e); }
+		return { x, y };
+	}
+
+	/**
+	 * getBoundingClientRect() in top-level window coordinates, for elements inside frames.
+	 * @private
+	 * @param {Element} el
+	 * @returns {{top: number, left: number, bottom: number, width: number, height: number}}
+	 */
+	_clientRect(el) {
+		const r = el.getBoundingClientRect();
+		const o = this._frameOffset(el.ownerDocument);
+		return { top: r.top + o.y, left: r.left + o.x, bottom: r.bottom + o.y, width: r.width, height: r.height };
+	}
+
+	/**
+	 * Remove and dispose of the highlighter, the outline layer and the style.
+	 * Used when the menu closes.
+	 * @private
+	 */
+	_disposeHighlighter() {
+		this._clearOutlines();
+		if (this._hiDiv) {
+			try { this._hiDiv.remove(); } catch (e) { if (this._debug) console.error(e); }
+			this._hiDiv = null;
+		}
+		if (this._hiStyle) {
+			try { this._hiStyle.remove(); } catch (e) { if (this._debug) console.error(e); }
+			this._hiStyle = null;
+		}
+		this._hiTarget = null;
+	}
+
+	/**
+	 * Toggle the overlay highlighter and optional contrast bump on a target element.
+	 * @private
+	 * @param {HTMLElement} el
+	 * @param {boolean} on
+	 */
+	_highlight(el, on) {
+		// Overlay-based highlighter: reuse a singleton DIV instead of mutating target styles.
+		if (!el || el.nodeType !== 1) return;
+		if (on) {
+			this._placeHighlighter(el);
+			// boost contrast on the element (store previous filter)
+			if (!Object.prototype.hasOwnProperty.call(el, "__esc_prevFilter")) {
+				// @ts-ignore
+				el.__esc_prevFilter = el.style.filter || "";
+			}
+			try {
+				const cur = el.style.filter || "";
+				if (!/contrast\(/.test(cur)) {
+					el.style.filter = (cur ? cur + " " : "") + "contrast(1.25)";
+				}
+			} catch (e) { if (this._debug) console.error(e); }
+		} else {
+			// Only hide overlay if turning off the element we currently cover
+			if (this._hiTarget === el) {
+				if (this._hiDiv) this._hiDiv.style.display = "none";
+				this._hiTarget = null;
+			}
+			// restore contrast
+			if (Object.prototype.hasOwnProperty.call(el, "__esc_prevFilter")) {
+				// @ts-ignore
+				el.style.filter = el.__esc_prevFilter;
+				// @ts-ignore
+				delete el.__esc_prevFilter;
+			}
+		}
+
+	}
+	// #endregion __Plugin_highlight
+
+	// #region __Plugin_picker
+	/**
+	 * Start a DevTools-style picker: the overlay follows the pointer, arrow keys walk the tree
+	 * (Up: parent, Down: child, Left/Right: siblings), Enter or click opens the menu for the
+	 * current element and Escape cancels.
+	 * ### Callers
+	 * - command `pick-element-css`
+	 * - command `pick-element-path`
+	 * - {@link _createApi}
+	 * @private
+	 * @param {"css" | "path"} mode
+	 * @param {(el: HTMLElement | null) => void} [onPick] Receives the chosen element instead of
+	 * opening a menu, or null when the picker is cancelled.
+	 */
+	_startPicker(mode, onPick) {
+		this._stopPicker();
+		// the window the command was run from
+		const win = activeWindow;
+		const doc = win.document;
+		const label = doc.createElement("div");
+		label.id = "esc-picker-label";
+		label.setAttribute("aria-hidden", "true");
+		label.style.position = "fixed";
+		label.style.pointerEvents = "none";
+		label.style.zIndex = "1000000";
+		label.style.padding = "2px 6px";
+		label.style.borderRadius = "4px";
+		label.style.font = "12px var(--font-monospace)";
+		label.style.whiteSpace = "pre";
+		label.style.background = "var(--background-secondary)";
+		label.style.color = "var(--text-normal)";
+		label.style.border = "1px solid var(--background-modifier-border)";
+		label.style.boxShadow = "var(--shadow-s)";
+		doc.body.appendChild(label);
+
+		/** @type {PickerState} */
+		const picker = {
+			mode,
+			win,
+			el: doc.body,
+			trail: [doc.body],
+			index: 0,
+			label,
+			onMove: (e) => {
+				const target = this._eventTarget(e);
+				if (target !== picker.el) this._pickerMoveTo(target);
+			},
+			onDown: (e) => {
+				e.preventDefault();
+				e.stopPropagation();
+				this._swallowButton = e.button;
+				if (e.button !== 0) return;
+				this._pickerMoveTo(this._eventTarget(e));
+				this._pickerChoose();
+			},
+			onKey: (e) => this._onPickerKey(e),
+			onPick
+		};
+		this._picker = picker;
+		// window capture runs before the document-level trigger handler
+		win.addEventListener("mousemove", picker.onMove, true);
+		win.addEventListener("mousedown", picker.onDown, true);
+		win.addEventListener("keydown", picker.onKey, true);
+		const hovered = doc.querySelectorAll(":hover");
+		const start = hovered.length ? hovered[hovered.length - 1] : null;
+		this._pickerMoveTo(start && start.nodeType === 1 ? /** @type {HTMLElement} */ (start) : doc.body);
+		this._withNotice("Picking element: ↑ parent, ↓ child, ←/→ siblings, Enter to choose, Esc to cancel", 5000);
+	}
+
+	/**
+	 * End the picker session and remove its listeners, label and overlay.
+	 * @private
+	 */
+	_stopPicker() {
+		const picker = this._picker;
+		if (!picker) return;
+		this._picker = null;
+		picker.win.removeEventListener("mousemove", picker.onMove, true);
+		picker.win.removeEventListener("mousedown", picker.onDown, true);
+		picker.win.removeEventListener("keydown", picker.onKey, true);
+		try { picker.label.remove(); } catch (e) { if (this._debug) console.error(e); }
+		this._disposeHighlighter();
+		if (picker.onPick) picker.onPick(null);
+	}
+
+	/**
+	 * Make el the picker's current element with a fresh ancestry trail.
+	 * @private
+	 * @param {HTMLElement} el
+	 */
+	_pickerMoveTo(el) {
+		const picker = this._picker;
+		if (!picker) return;
+		picker.trail = this._buildAncestry(el);
+		picker.index = picker.trail.length - 1;
+		this._pickerShow(el);
+	}
+
+	/**
+	 * Highlight el and update the floating label.
+	 * @private
+	 * @param {HTMLElement} el
+	 */
+	_pickerShow(el) {
+		const picker = this._picker;
+		if (!picker) return;
+		picker.el = el;
+		this._placeHighlighter(el);
+		const r = this._clientRect(el);
+		const label = picker.label;
+		label.textContent = this._labelFor(el, 3, true) + "  " + Math.round(r.width) + "×" + Math.round(r.height);
+		const below = r.bottom + 6;
+		const top = below + label.offsetHeight > picker.win.innerHeight ? Math.max(0, r.top - label.offsetHeight - 6) : below;
+		label.style.top = top + "px";
+		label.style.left = Math.min(Math.max(0, r.left), Math.max(0, picker.win.innerWidth - label.offsetWidth)) + "px";
+	}
+
+	/**
+	 * Keyboard navigation for the picker.
+	 * @private
+	 * @event
+	 * @param {KeyboardEvent} e
+	 */
+	_onPickerKey(e) {
+		const picker = this._picker;
+		if (!picker) return;
+		/** @type {HTMLElement | null} */
+		let next = null;
+		switch (e.key) {
+			case "Escape":
+				this._stopPicker();
+				break;
+			case "Enter":
+				this._pickerChoose();
+				break;
+			case "ArrowUp":
+				// walk back along the trail so ArrowDown can return to where we came from
+				if (picker.index > 0) this._pickerShow(picker.trail[--picker.index]);
+				break;
+			case "ArrowDown":
+				if (picker.index < picker.trail.length - 1) {
+					this._pickerShow(picker.trail[++picker.index]);
+				} else {
+					next = /** @type {HTMLElement | null} */ (picker.el.firstElementChild);
+				}
+				break;
+			case "ArrowLeft":
+				next = /** @type {HTMLElement | null} */ (picker.el.previousElementSibling);
+				break;
+			case "ArrowRight":
+				next = /** @type {HTMLElement | null} */ (picker.el.nextElementSibling);
+				break;
+			default:
+				return;
+		}
+		e.preventDefault();
+		e.stopPropagation();
+		if (next) {
+			try { next.scrollIntoView({ block: "nearest", inline: "nearest" }); } catch (err) { if (this._debug) console.error(err); }
+			this._pickerMoveTo(next);
+		}
+	}
+
+	/**
+	 * End the picker and open the CSS or Path menu for the current element, positioned at it,
+	 * or hand the element to the picker's onPick.
+	 * @private
+	 */
+	_pickerChoose() {
+		const picker = this._picker;
+		if (!picker) return;
+		const { el, mode, win, onPick } = picker;
+		picker.onPick = undefined;
+		this._stopPicker();
+		if (onPick) return onPick(el);
+		const r = this._clientRect(el);
+		const evt = new MouseEvent("mousedown", { clientX: r.left, clientY: Math.min(r.bottom, win.innerHeight - 1) });
+		if (mode === "css") this._openMenuForCss(el, evt, el);
+		else this._openMenuForPath(el, evt, el);
+	}
+	// #endregion __Plugin_picker
+
+	// #region __Plugin_tester
+	/**
+	 * Open the selector tester in the active window, prefilled with the latest capture's selector.
+	 * Selectors may use the boundary markers of {@link _queryAcross}.
+	 * ### Callers
+	 * - command `test-selector`
+	 * @private
+	 */
+	_openSelectorTester() {
+		const doc = activeDocument;
+		const last = this.history[this.history.length - 1];
+		new SelectorTesterModal(this.app, last ? last.selector : "", {
+			query: (selector) => this._queryAcross(selector, doc),
+			show: (matches, current) => {
+				this._placeOutlines(matches);
+				if (current) this._placeHighlighter(current);
+				else if (this._hiDiv) this._hiDiv.style.display = "none";
+			},
+			clear: () => this._disposeHighlighter(),
+			label: (el) => this._chainLabelFor(/** @type {HTMLElement} */ (el))
+		}).open();
+	}
+	// #endregion __Plugin_tester
+
+	// #region __Plugin_preview
+	/**
+	 * Open the preview of an element's CSS tree with the capture options. What is copied or saved
+	 * from it goes into the history like a menu capture.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * @private
+	 * @param {HTMLElement} el
+	 */
+	_openCssPreview(el) {
+		const label = this._labelFor(el, 3, true);
+		const options = Object.assign(this._cssOptions(), { includeTagIfNoClasses: true, target: /** @type {OutputTarget} */ ("clipboard") });
+		const attributes = String(this.settings.attributePriority || "").split(/[\s,]+/).filter(Boolean);
+		new CssPreviewModal(this.app, label, options, attributes, this._redactFields(), {
+			render: (opts) => this._renderCss(el, opts),
+			hover: (els) => {
+				if (!els) return this._disposeHighlighter();
+				this._placeOutlines(els.length > 1 ? els : []);
+				this._placeHighlighter(els[0]);
+			},
+			output: async (render, target) => {
+				// the preview shows the content declarations; a snippet gets them commented out
+				const text = target === "snippet" && render.tree
+					? render.formatter.format(render.tree, { indent: render.indent, truncated: render.truncated, scaffold: true })
+					: render.text;
+				const ok = await this._output(text, render.formatter.name, target, this._labelFor(el, 3, true, render.redact));
+				if (ok) this._recordCapture("css", el, text, undefined, render.format, render.redact);
+				return ok;
+			}
+		}).open();
+	}
+	// #endregion __Plugin_preview
+
+	// #region __Plugin_explorer
+	/**
+	 * Open the children and siblings explorer for an ancestor picked in either menu.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {HTMLElement} root
+	 * @param {HTMLElement} target The clicked element.
+	 */
+	_openExplorer(root, target) {
+		const opts = { crossBoundaries: this.settings.crossBoundaries, skipTags: this._cssOptions().skipTags };
+		/** @type {(el: HTMLElement) => {el: HTMLElement, boundary: Boundary}[]} */
+		const children = (el) => this._childrenAcross(el, opts).map(({ child, boundary }) => ({ el: child, boundary }));
+		// what _childrenAcross finds, without walking the children; skipped tags are still counted
+		/** @type {(el: HTMLElement) => number} */
+		const count = (el) => {
+			let n = el.childElementCount;
+			if (!opts.crossBoundaries) return n;
+			if (el.shadowRoot) n += el.shadowRoot.childElementCount;
+			if (el.tagName === "IFRAME" || el.tagName === "FRAME") {
+				try { if (/** @type {HTMLIFrameElement} */ (el).contentDocument?.body) n++; } catch { }
+			}
+			return n;
+		};
+		const parent = this._parentAcross(target).parent;
+		/** @type {(el: HTMLElement) => HTMLElement} */
+		const pathRoot = (el) => {
+			// siblings of the clicked element sit outside the root when the root is the clicked element
+			for (let cur = /** @type {HTMLElement | null} */ (el); cur; cur = this._parentAcross(cur).parent) {
+				if (cur === root) return root;
+			}
+			return parent || root;
+		};
+		new ElementExplorerModal(this.app, "Explore " + this._chainLabelFor(root), root, target, {
+			children,
+			count,
+			label: (entry) => this._chainLabelFor(entry.el, entry.boundary),
+			siblings: parent ? children(parent) : [],
+			hover: (el) => el ? this._placeHighlighter(el) : this._disposeHighlighter(),
+			css: (el, evt) => this._chooseCss(el, evt),
+			path: (el) => this._capturePath(pathRoot(el), el)
+		}).open();
+	}
+	// #endregion __Plugin_explorer
+
+	// #region __Plugin_labels
+	/**
+	 * Friendly name of an element that is a known Obsidian structure, or "" when it is not one
+	 * or friendly names are turned off.
+	 * ### Callers
+	 * - {@link _chainLabelFor}
+	 * - {@link _labelTooltip}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @returns {string}
+	 */
+	_friendlyLabelFor(el) {
+		if (!this.settings.friendlyLabels) return "";
+		try {
+			return obsidianLabelOf(el, (leafEl) => this._leafFile(leafEl));
+		} catch (e) {
+			if (this._debug) console.error(e);
+			return "";
+		}
+	}
+
+	/**
+	 * Path of the file shown in a .workspace-leaf element, or "" for views without a file.
+	 * @private
+	 * @param {HTMLElement} leafEl
+	 * @returns {string}
+	 */
+	_leafFile(leafEl) {
+		let path = "";
+		this.app.workspace.iterateAllLeaves((leaf) => {
+			if (path || leaf.view.containerEl.parentElement !== leafEl) return;
+			const file = /** @type {{file?: import("obsidian").TFile | null}} */ (leaf.view).file;
+			if (file) path = file.path;
+		});
+		return path;
+	}
+
+	/**
+	 * Name of the enabled community plugin that most likely styles an element: the one whose
+	 * styles.css uses most of its classes, where a class several plugins use counts for each of
+	 * them in part. A "plugin-<id>" class (status bar items) counts for that plugin. Returns ""
+	 * while the class index is being built or when no plugin uses the classes.
+	 * ### Callers
+	 * - {@link _chainLabelFor}
+	 * - {@link _labelTooltip}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @returns {string}
+	 */
+	_ownerFor(el) {
+		if (!this.settings.guessOwners) return "";
+		// @ts-ignore (internal API)
+		const plugins = this.app.plugins;
+		const enabled = /** @type {Set<string>} */ ((plugins && plugins.enabledPlugins) || new Set());
+		// a stale index still answers while the new one is built
+		if (!this._ownerIndex || this._ownerIndex.key !== Array.from(enabled).sort().join(",")) this._refreshOwnerIndex();
+		if (!this._ownerIndex) return "";
+		/** @type {Map<string, number>} */
+		const scores = new Map();
+		/** @type {(id: string, n: number) => void} */
+		const add = (id, n) => { scores.set(id, (scores.get(id) || 0) + n); };
+		for (const c of Array.from(el.classList)) {
+			if (c.startsWith("plugin-") && enabled.has(c.slice(7))) add(c.slice(7), 1);
+			if (this._classKind(c) !== "kept") continue;
+			const ids = this._ownerIndex.classes.get(c);
+			if (ids) for (const id of ids) add(id, 1 / ids.length);
+		}
+		let best = "";
+		let top = 0;
+		for (const [id, n] of scores) if (n > top) { best = id; top = n; }
+		const manifest = best && plugins.manifests && plugins.manifests[best];
+		return manifest ? manifest.name : best;
+	}
+
+	/**
+	 * Rebuild the index of classes used by the enabled plugins' styles.css in the background.
+	 * Classes that app.css also uses are left out: a plugin restyling core elements does not own them.
+	 * ### Callers
+	 * - {@link onload}
+	 * - {@link _ownerFor}
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	_refreshOwnerIndex() {
+		if (this._ownerIndexBuild) return this._ownerIndexBuild;
+		// @ts-ignore (internal API)
+		const plugins = this.app.plugins;
+		const key = Array.from((plugins && plugins.enabledPlugins) || []).sort().join(",");
+		this._ownerIndexBuild = (async () => {
+			/** @type {Set<string>} */
+			const core = new Set();
+			this._eachStyleRule(document, ({ rule, sheet }) => {
+				/** @type {CSSStyleSheet} */
+				let top = sheet;
+				while (top.parentStyleSheet) top = top.parentStyleSheet;
+				if (top.href && /\/app\.css([?#]|$)/.test(top.href)) for (const c of requiredClasses(rule.selectorText)) core.add(c);
+			});
+			/** @type {Map<string, string[]>} */
+			const classes = new Map();
+			for (const f of this._cssSourceFiles()) {
+				if (f.kind !== "plugin") continue;
+				try {
+					if (!(await this.app.vault.adapter.exists(f.path))) continue;
+					const text = await this.app.vault.adapter.read(f.path);
+					/** @type {Set<string>} */
+					const used = new Set();
+					for (const r of this._styleRulesIn(text)) {
+						for (const sel of r.selectors) for (const c of requiredClasses(sel)) if (!core.has(c)) used.add(c);
+					}
+					for (const c of used) {
+						const ids = classes.get(c);
+						if (ids) ids.push(f.id);
+						else classes.set(c, [f.id]);
+					}
+				} catch (e) { if (this._debug) console.error(e); }
+			}
+			this._ownerIndex = { key, classes };
+		})().finally(() => { this._ownerIndexBuild = null; });
+		return this._ownerIndexBuild;
+	}
+
+	/**
+	 * First lines of an ancestor's menu tooltip: its friendly name, selector label and plugin
+	 * owner, the ones that apply.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @returns {string}
+	 */
+	_labelTooltip(el) {
+		const friendly = this._friendlyLabelFor(el);
+		const owner = this._ownerFor(el);
+		return (friendly ? friendly + "\n" : "") + this._labelFor(el, 3, true)
+			+ (owner ? "\nStyled by plugin: " + owner + " (guessed from its styles.css)" : "");
+	}
+	// #endregion __Plugin_labels
+
+	// #region __Plugin_api
+	/**
+	 * Build the API object for other plugins. Nothing in it writes to the clipboard or history.
+	 * @private
+	 * @returns {SnatchApi}
+	 */
+	_createApi() {
+		/** @type {SnatchApi} */
+		const api = {
+			version: API_VERSION,
+			events: { captured: EVENT_CAPTURED },
+			selectorFor: (el, options) => this._selectorFor(el, Object.assign(this._selectorOptions(), options)),
+			uniqueSelectorFor: (el) => this._uniqueSelectorFor(el),
+			pathsBetween: (ancestor, target, options) => this._buildPathsBetween(ancestor, target, Object.assign(this._selectorOptions(), options)),
+			css: async (el, options) => {
+				const render = await this._renderCss(el, Object.assign(this._cssOptions(), { target: /** @type {OutputTarget} */ ("clipboard") }, options));
+				return render ? render.text : null;
+			},
+			query: (selector, doc = activeDocument) => {
+				try { return this._queryAcross(selector, doc).map((el) => /** @type {HTMLElement} */ (el)); } catch { return []; }
+			},
+			highlight: (target, duration = 0) => {
+				const els = typeof target === "string" ? api.query(target) : [target];
+				this._flashElements(els, duration);
+				return els;
+			},
+			unhighlight: () => this._disposeHighlighter(),
+			pick: () => new Promise((resolve) => this._startPicker("css", resolve))
+		};
+		return Object.freeze(api);
+	}
+	// #endregion __Plugin_api
+
+	// #region __Plugin_links
+	/**
+	 * Open an obsidian://element-snatch?selector=...&do=highlight|css|path link: find the
+	 * element, scroll it into view and highlight it, then run the CSS or Path capture when the
+	 * action asks for one. Path links carry the path's root in a root parameter.
+	 * ### Callers
+	 * - protocol handler `element-snatch`
+	 * @private
+	 * @param {import("obsidian").ObsidianProtocolData} params
+	 */
+	_onLink(params) {
+		const selector = String(params.selector || "").trim();
+		// "action" is Obsidian's own key (the handler's name), so the link action travels as "do"
+		const action = params.do || "highlight";
+		if (!selector) {
+			this._withNotice("Element Snatch link without a selector", 8000);
+			return;
+		}
+		if (!LINK_ACTIONS.includes(action)) {
+			this._withNotice("Unknown action \"" + action + "\" in Element Snatch link; use highlight, css or path", 8000);
+			return;
+		}
+		/** @type {HTMLElement[]} */
+		let els;
+		try {
+			els = this._matchesInWindows(selector);
+		} catch (e) {
+			if (this._debug) console.error(e);
+			this._withNotice("Invalid selector in Element Snatch link: " + selector, 10000);
+			return;
+		}
+		if (!els.length) {
+			this._withNotice("No element matches " + selector + ". Open the view it belongs to and try the link again.", 10000);
+			return;
+		}
+		const el = els[0];
+		try { el.scrollIntoView({ block: "nearest", inline: "nearest" }); } catch (e) { if (this._debug) console.error(e); }
+		this._flashElements(els, 3000);
+		if (els.length > 1) this._withNotice(els.length + " elements match " + selector + "; using the first", 5000);
+		if (action === "css") {
+			if (this.settings.previewBeforeCopy) this._openCssPreview(el);
+			else this._captureCss(el);
+		} else if (action === "path") {
+			this._capturePath(this._linkRoot(params.root, el), el);
+		}
+	}
+
+	/**
+	 * Root of a path link: the element its root selector matches, when that is an ancestor of
+	 * el (across boundaries), else el's document body.
+	 * @private
+	 * @param {string | undefined} selector
+	 * @param {HTMLElement} el
+	 * @returns {HTMLElement}
+	 */
+	_linkRoot(selector, el) {
+		/** @type {Set<Element>} */
+		let candidates = new Set();
+		try { if (selector) candidates = new Set(this._queryAcross(selector, el.ownerDocument)); } catch (e) { if (this._debug) console.error(e); }
+		for (let cur = /** @type {HTMLElement | null} */ (el); cur; cur = this._parentAcross(cur).parent) {
+			if (candidates.has(cur)) return cur;
+		}
+		return el.ownerDocument.body;
+	}
+
+	/**
+	 * obsidian:// link that finds an element again and runs an action on it, see {@link _onLink}.
+	 * ### Callers
+	 * - {@link _copyLink}
+	 * @private
+	 * @param {"highlight" | "css" | "path"} action
+	 * @param {HTMLElement} el
+	 * @param {HTMLElement} [rootEl] Root of a path link.
+	 * @returns {string}
+	 */
+	_linkFor(action, el, rootEl) {
+		/** @type {Record<string, string>} */
+		const params = { vault: this.app.vault.getName(), do: action, selector: this._uniqueSelectorFor(el) };
+		if (rootEl) params.root = this._uniqueSelectorFor(rootEl);
+		return "obsidian://" + LINK_ACTION + "?" + Object.entries(params).map(([k, v]) => k + "=" + encodeURIComponent(v)).join("&");
+	}
+
+	/**
+	 * Copy a link from {@link _linkFor} to the clipboard.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {"highlight" | "css" | "path"} action
+	 * @param {HTMLElement} el
+	 * @param {HTMLElement} [rootEl]
+	 */
+	async _copyLink(action, el, rootEl) {
+		const link = this._linkFor(action, el, rootEl);
+		const ok = await this._copyText(link);
+		// a redacted selector could not find the element again, so links stay readable and say so
+		const exposed = ok && this.settings.redactOutput
+			&& redactSelectors(decodeURIComponent(link), this._redactFields(), (v) => this._isVaultPath(v)) !== decodeURIComponent(link);
+		if (exposed) this._withNotice("Link copied. Its selector is not redacted and names vault content; check it before sharing.", 10000);
+		else this._withNotice(ok ? "Link copied" : "Copy failed", ok ? 5000 : 10000);
+	}
+	// #endregion __Plugin_links
+
+	// #region __Plugin_snapshots
+	/**
+	 * Options for snapshot captures: the selector settings and limits, without text notes,
+	 * styles or fuzzy grouping, so that only structure is compared. stored are the options a
+	 * snapshot was taken with and replace the current settings.
+	 * @private
+	 * @param {SnapshotOptions} [stored]
+	 * @returns {CssOptions}
+	 */
+	_snapshotOptions(stored) {
+		const options = this._cssOptions();
+		if (stored) {
+			Object.assign(options, {
+				useIds: !!stored.useIds,
+				useClasses: !!stored.useClasses,
+				includeNthChild: !!stored.includeNthChild,
+				attributes: Array.isArray(stored.attributes) ? stored.attributes.map(String) : [],
+				crossBoundaries: !!stored.crossBoundaries,
+				maxDepth: stored.maxDepth > 0 ? stored.maxDepth : Infinity,
+				maxNodes: stored.maxNodes > 0 ? stored.maxNodes : options.maxNodes,
+				skipTags: new Set(Array.isArray(stored.skipTags) ? stored.skipTags.map((t) => String(t).toUpperCase()) : [])
+			});
+		}
+		return Object.assign(options, {
+			listStateClasses: false,
+			computedStyles: false,
+			pseudoElements: false,
+			interactionStates: false,
+			siblingGrouping: /** @type {"exact"} */ ("exact"),
+			format: /** @type {OutputFormat} */ ("json"),
+			target: /** @type {OutputTarget} */ ("clipboard")
+		});
+	}
+
+	/**
+	 * The parts of snapshot capture options that are stored with a snapshot.
+	 * @private
+	 * @param {CssOptions} options From {@link _snapshotOptions}.
+	 * @returns {SnapshotOptions}
+	 */
+	_storedSnapshotOptions(options) {
+		return {
+			useIds: !!options.useIds,
+			useClasses: !!options.useClasses,
+			includeNthChild: !!options.includeNthChild,
+			attributes: (options.attributes || []).slice(),
+			crossBoundaries: !!options.crossBoundaries,
+			maxDepth: options.maxDepth && options.maxDepth !== Infinity ? options.maxDepth : 0,
+			maxNodes: options.maxNodes || 0,
+			skipTags: Array.from(options.skipTags || [])
+		};
+	}
+
+	/**
+	 * Obsidian's API version, the active theme and the versions of enabled plugins.
+	 * @private
+	 * @returns {SnapshotEnvironment}
+	 */
+	_snapshotEnvironment() {
+		// @ts-ignore (internal API)
+		const { customCss, plugins } = this.app;
+		/** @type {Record<string, string>} */
+		const enabled = {};
+		try {
+			for (const id of Array.from(plugins.enabledPlugins || []).sort()) enabled[id] = (plugins.manifests[id] || {}).version || "";
 		} catch (e) { if (this._debug) console.error(e); }
+		return {
+			obsidian: Obsidian.apiVersion || "",
+			theme: (customCss && customCss.theme) || "default",
+			plugins: enabled
+		};
+	}
+
+	/**
+	 * Create a file in the snapshot folder, creating the folder when needed and numbering the
+	 * name when it is taken.
+	 * @private
+	 * @param {string} name File name without extension.
+	 * @param {string} extension
+	 * @param {string} data
+	 * @returns {Promise<import("obsidian").TFile | null>} Null when the file could not be written.
+	 */
+	async _createSnapshotFile(name, extension, data) {
+		const vault = this.app.vault;
+		const folder = normalizePath(String(this.settings.snapshotFolder || DEFAULT_SETTINGS.snapshotFolder));
+		const base = name.replace(/[\\/:*?"<>|#^[\]]/g, "-").trim() || "snapshot";
+		try {
+			if (!vault.getAbstractFileByPath(folder)) await vault.createFolder(folder);
+			let path = normalizePath(folder + "/" + base + "." + extension);
+			for (let n = 2; vault.getAbstractFileByPath(path); n++) path = normalizePath(folder + "/" + base + " " + n + "." + extension);
+			return await vault.create(path, data);
+		} catch (e) {
+			console.error("[element-snatch-css] snapshot write failed", e);
+			this._withNotice("Could not write to " + folder, 10000);
+			return null;
+		}
+	}
+
+	/**
+	 * Save the structure of an element's subtree as a snapshot in the vault.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * @private
+	 * @param {HTMLElement} el
+	 */
+	async _saveSnapshot(el) {
+		const options = this._snapshotOptions();
+		const render = await this._renderCss(el, options);
+		if (!render || !render.tree) return;
+		const label = this._labelFor(el, 3, true);
+		/** @type {Snapshot} */
+		const snapshot = {
+			version: SNAPSHOT_VERSION,
+			label,
+			selector: this._uniqueSelectorFor(el),
+			time: new Date().toISOString(),
+			environment: this._snapshotEnvironment(),
+			options: this._storedSnapshotOptions(options),
+			truncated: render.truncated,
+			tree: snapshotNode(render.tree)
+		};
+		const stamp = snapshot.time.slice(0, 16).replace("T", " ").replace(":", "");
+		const file = await this._createSnapshotFile(label.slice(0, 60) + " " + stamp, "json", JSON.stringify(snapshot, null, "\t") + "\n");
+		if (file) this._withNotice("Snapshot saved to " + file.path, 5000);
+	}
+
+	/**
+	 * Pick a snapshot from the snapshot folder and compare it with the current structure.
+	 * ### Callers
+	 * - command `compare-snapshot`
+	 * @private
+	 */
+	_openSnapshotCompare() {
+		const folder = normalizePath(String(this.settings.snapshotFolder || DEFAULT_SETTINGS.snapshotFolder));
+		const files = this.app.vault.getFiles()
+			.filter((f) => f.extension === "json" && f.path.startsWith(folder + "/"))
+			.sort((a, b) => b.stat.mtime - a.stat.mtime);
+		if (!files.length) {
+			this._withNotice("No snapshots in " + folder, 5000);
+			return;
+		}
+		new SnapshotSuggestModal(this.app, files, (file) => this._compareSnapshot(file)).open();
+	}
+
+	/**
+	 * Capture a snapshot's root again (found by its stored selector in any window) with the
+	 * options it was taken with, diff the structures and open the result as a new note next to
+	 * the snapshot.
+	 * @private
+	 * @param {import("obsidian").TFile} file
+	 */
+	async _compareSnapshot(file) {
+		/** @type {Snapshot | null} */
+		let snapshot = null;
+		try { snapshot = JSON.parse(await this.app.vault.read(file)); } catch (e) { if (this._debug) console.error(e); }
+		if (!snapshot || !(snapshot.version >= 1 && snapshot.version <= SNAPSHOT_VERSION) || !snapshot.tree) {
+			this._withNotice(file.path + " is not a structure snapshot", 5000);
+			return;
+		}
+		const el = this._findCaptured(snapshot.selector);
+		if (!el) return;
+		const render = await this._renderCss(el, this._snapshotOptions(snapshot.options));
+		if (!render || !render.tree) return;
+		const changes = diffStructure(snapshot.tree, snapshotNode(render.tree));
+		const note = structureDiffNote(snapshot, file.path, this._snapshotEnvironment(), changes);
+		const stamp = new Date().toISOString().slice(0, 16).replace("T", " ").replace(":", "");
+		const out = await this._createSnapshotFile(file.basename + " diff " + stamp, "md", note);
+		if (!out) return;
+		this._withNotice(changes.length ? changes.length + (changes.length === 1 ? " structural change" : " structural changes") : "No structural changes", 5000);
+		await this.app.workspace.getLeaf(true).openFile(out);
+	}
+	// #endregion __Plugin_snapshots
+
+	// #region __Plugin_audit
+	/**
+	 * Count the elements every selector of the enabled snippets (and the theme, when the setting
+	 * is on) matches in the open windows, then write a report note of the dead, broad and invalid
+	 * ones with their file and line. Runs in slices with a cancellable progress notice.
+	 * ### Callers
+	 * - command `audit-selectors`
+	 * @private
+	 */
+	async _auditSelectors() {
+		const kinds = this.settings.auditTheme ? ["snippet", "theme"] : ["snippet"];
+		/** @type {{label: string, path: string, text: string}[]} */
+		const files = [];
+		for (const f of this._cssSourceFiles()) {
+			if (!kinds.includes(f.kind)) continue;
+			try {
+				if (await this.app.vault.adapter.exists(f.path)) files.push({ label: f.label, path: f.path, text: await this.app.vault.adapter.read(f.path) });
+			} catch (e) { if (this._debug) console.error(e); }
+		}
+		if (!files.length) {
+			this._withNotice(this.settings.auditTheme ? "No enabled snippets or theme to audit" : "No enabled snippets to audit", 5000);
+			return;
+		}
+
+		const docs = new Set([document]);
+		for (const { win } of this._watchedDocs.values()) docs.add(win.document);
+		/** @type {Set<string>} */
+		const present = new Set();
+		for (const doc of docs) {
+			for (const el of Array.from(doc.querySelectorAll("[class]"))) el.classList.forEach((c) => present.add(c));
+		}
+
+		let cancelled = false;
+		let sliceStart = performance.now();
+		/** @type {Noticer | null} */
+		let progress = null;
+		/** @type {SelectorAuditEntry[]} */
+		const entries = [];
+		try {
+			audit: for (const f of files) {
+				for (const rule of this._styleRulesIn(f.text)) {
+					for (const selector of rule.selectors) {
+						if (performance.now() - sliceStart > 16) {
+							const what = "Auditing selectors: " + entries.length.toLocaleString() + " checked";
+							if (!progress) progress = new Noticer().progress(what, () => { cancelled = true; });
+							else progress.update(what);
+							await new Promise((resolve) => setTimeout(resolve, 0));
+							sliceStart = performance.now();
+						}
+						if (cancelled) break audit;
+						const test = auditTestSelector(selector);
+						let count = 0;
+						for (const doc of docs) {
+							const n = this._countMatches(test, doc);
+							if (n < 0) { count = -1; break; }
+							count += n;
+						}
+						// state classes only appear while the state lasts, so they are not missing
+						const missing = count === 0 ? requiredClasses(test).filter((c) => !present.has(c) && this._classKind(c) !== "state") : [];
+						entries.push({ source: f.label, file: f.path, line: rule.line, selector, count, missing });
+					}
+				}
+			}
+		} finally {
+			// assigned inside the loop's await, which TypeScript does not follow
+			const notice = /** @type {Noticer | null} */ (progress);
+			if (notice) notice.dispose();
+		}
+		if (cancelled) {
+			this._withNotice("Selector audit cancelled", 3000);
+			return;
+		}
+
+		// the CSS files live in the config folder, which Obsidian does not link to, so they are named by
+		// their vault-relative path and line
+		const note = selectorAuditNote(entries, {
+			files: files.map((f) => f.label),
+			windows: docs.size,
+			broad: Math.max(1, this.settings.auditBroadMatches | 0),
+			link: (e) => markdownCode(e.file + ":" + e.line)
+		});
+		const stamp = new Date().toISOString().slice(0, 16).replace("T", " ").replace(":", "");
+		const out = await this._createSnapshotFile("Selector audit " + stamp, "md", note);
+		if (out) await this.app.workspace.getLeaf(true).openFile(out);
+	}
+	// #endregion __Plugin_audit
+
+	// #region __Plugin_core
+	/**
+	 * Split a node's classes into the ones used for selectors and the stripped state classes,
+	 * according to the class filter settings. Generated classes are dropped from both.
+	 * ### Callers
+	 * - {@link _selectorFor}
+	 * - {@link _selectorCandidates}
+	 * - {@link _labelFor}
+	 * - {@link _css}
+	 * @private
+	 * @param {Element} node
+	 * @returns {{kept: string[], state: string[]}}
+	 */
+	_splitClasses(node) {
+		/** @type {string[]} */
+		const kept = [];
+		/** @type {string[]} */
+		const state = [];
+		for (const c of node.classList ? Array.from(node.classList) : []) {
+			if (!c) continue;
+			const kind = this._classKind(c);
+			if (kind === "kept") kept.push(c);
+			else if (kind === "state") state.push(c);
+		}
+		return { kept, state };
+	}
+
+	/**
+	 * Classify one class name by the class filter settings; the keep patterns win over the others.
+	 * ### Callers
+	 * - {@link _splitClasses}
+	 * - {@link _auditSelectors}
+	 * @private
+	 * @param {string} c
+	 * @returns {"kept" | "state" | "generated"}
+	 */
+	_classKind(c) {
+		if (!this._classRules) {
+			const s = this.settings;
+			this._classRules = {
+				state: parsePatterns(s.stateClassPatterns).patterns,
+				generated: parsePatterns(s.generatedClassPatterns).patterns,
+				keep: parsePatterns(s.keepClassPatterns).patterns
+			};
+		}
+		const rules = this._classRules;
+		/** @type {(list: RegExp[]) => boolean} */
+		const matches = (list) => list.some((re) => re.test(c));
+		if (matches(rules.keep)) return "kept";
+		if (matches(rules.generated)) return "generated";
+		if (matches(rules.state)) return "state";
+		return "kept";
+	}
+
+	/**
+	 * Find the first attribute from a priority list that the node carries with a usable value.
+	 * ### Callers
+	 * - {@link _attributeSelectorFor}
+	 * - {@link _selectorCandidates}
+	 * - {@link _labelFor}
+	 * @private
+	 * @param {Element} node
+	 * @param {string[]} names Attribute names in priority order.
+	 * @returns {{name: string, value: string} | null}
+	 */
+	_attributeFor(node, names) {
+		for (const name of names) {
+			const value = node.getAttribute(name);
+			if (value != null && value.length <= 200) return { name, value };
+		}
+		return null;
+	}
+
+	/**
+	 * Prefix of a path-like attribute value: everything up to and including the last "/".
+	 * @private
+	 * @param {string} value
+	 * @returns {string} Empty when the value has no folder part.
+	 */
+	_attrPrefix(value) {
+		const i = value.lastIndexOf("/");
+		return i > 0 ? value.slice(0, i + 1) : "";
+	}
+
+	/**
+	 * Build the attribute part of a selector for a node, in exact ([data-type="x"]) or,
+	 * when asked and the value is path-like, prefix ([data-path^="Projects/"]) form.
+	 * ### Callers
+	 * - {@link _selectorFor}
+	 * @private
+	 * @param {Element} node
+	 * @param {string[]} names Attribute names in priority order.
+	 * @param {boolean} [prefix=false]
+	 * @returns {string} Empty when the node has none of the attributes.
+	 */
+	_attributeSelectorFor(node, names, prefix = false) {
+		const attr = this._attributeFor(node, names);
+		if (!attr) return "";
+		if (prefix) {
+			const p = this._attrPrefix(attr.value);
+			if (p) return this._attrSelector(attr.name, p).replace(/="/, '^="');
+		}
+		return this._attrSelector(attr.name, attr.value);
+	}
+
+	/**
+	 * Build a selector for a node using id, classes, tag, a priority attribute, and optional :nth-child.
+	 * ### Callers
+	 * - {@link _css}
+	 * - {@link _buildPathsBetween}
+	 * @private
+	 * @param {HTMLElement} node
+	 * @param {SelectorOptions} opts
+	 * @returns {string}
+	 */
+	_selectorFor(node, opts) {
+		if (opts.useIds && node.id) return "#" + this._cssEscape(node.id);
+
+		const attr = opts.attributes && opts.attributes.length
+			? this._attributeSelectorFor(node, opts.attributes, !!opts.attributePrefix)
+			: "";
+
+		if (opts.useClasses && node.classList && node.classList.length) {
+			const classes = this._splitClasses(node).kept.map((c) => this._cssEscape(c));
+			if (classes.length) return "." + classes.join(".") + attr;
+		}
+
+		let sel = opts.includeTagIfNoClasses ? node.tagName.toLowerCase() : (attr ? "" : "*");
+		sel += attr;
+
+		if (opts.includeNthChild) {
+			const parent = node.parentElement;
+			if (parent) {
+				let i = 1,  /** @type {Element | null} */ sib = node;
+				while ((sib = sib?.previousElementSibling)) i++;
+				sel += ":nth-child(" + i + ")";
+			}
+		}
+		return sel;
+	}
+
+	/**
+	 * Build descendant and child selector strings between ancestorEl and targetEl.
+	 * ### Callers
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {HTMLElement} ancestorEl
+	 * @param {HTMLElement} targetEl
+	 * @param {SelectorOptions} [options]
+	 * @returns {{descendant: string, child: string}}
+	 */
+	_buildPathsBetween(ancestorEl, targetEl, options) {
+		if (this._debug) console.log("[element-snatch-css] _buildPathsBetween2", ancestorEl, targetEl, options);
+		const opts = Object.assign({ useIds: true, useClasses: true, includeNthChild: false }, options || {});
+		if (!ancestorEl || !targetEl) return { descendant: "", child: "" };
+		// Walk up from target to ancestor
+		/** @type {HTMLElement[]} */
+		const chain = [];
+		/** @type {HTMLElement | null} */
+		let cur = targetEl;
+		let guard = 0;
+		while (cur && cur.nodeType === 1 && guard++ < 5000) {
+			chain.push(cur);
+			if (cur === ancestorEl) break;
+			cur = this._parentAcross(cur).parent;
+		}
+		if (chain[chain.length - 1] !== ancestorEl) {
+			// ancestorEl is not actually an ancestor; rebuild using ancestry from <body>
+			const bodyChain = this._buildAncestry(targetEl); // body -> ... -> target
+			const idx = bodyChain.indexOf(ancestorEl);
+			if (idx >= 0) {
+				// use slice from ancestor to target; keep local order consistent before final reverse
+				const slice = bodyChain.slice(idx); // ancestor -> ... -> target
+				chain.length = 0;
+				for (let i = slice.length - 1; i >= 0; i--) chain.push(slice[i]); // target -> ... -> ancestor
+			} else {
+				// fallback to just target
+				chain.length = 0;
+				chain.push(targetEl);
+			}
+		}
+		chain.reverse(); // ancestor -> ... -> target
+		const sels = chain.map((n) => this._selectorFor(n, {
+			useIds: !!opts.useIds,
+			useClasses: !!opts.useClasses,
+			includeTagIfNoClasses: true,
+			includeNthChild: !!opts.includeNthChild,
+			attributes: opts.attributes,
+			attributePrefix: !!opts.attributePrefix
+		}));
+		// a boundary replaces the combinator before the first element inside it
+		/** @type {(combinator: string) => string} */
+		const join = (combinator) => sels.reduce((out, sel, i) => {
+			if (i === 0) return sel;
+			const boundary = this._parentAcross(chain[i]).boundary;
+			return out + (boundary ? " " + BOUNDARY_MARKERS[boundary] + " " : combinator) + sel;
+		}, "");
+		return {
+			descendant: join(" "),
+			child: join(" > ")
+		};
+	}
+
+	/**
+	 * Build the Path output: descendant and child forms (plus prefix forms when an attribute
+	 * in the chain is path-like) with match counts, and the shortest unique selector.
+	 * For a snippet, raw selector lines are not valid CSS, so an empty rule for the child form
+	 * is produced with the other forms as a comment.
+	 * ### Callers
+	 * - {@link _openMenuForPath}
+	 * - {@link regenerateCapture}
+	 * @private
+	 * @param {HTMLElement} ancestorEl
+	 * @param {HTMLElement} targetEl
+	 * @param {boolean} [forSnippet=false]
+	 * @param {string} [unique] Precomputed {@link _uniqueSelectorFor} result for targetEl.
+	 * @returns {string}
+	 */
+	_pathText(ancestorEl, targetEl, forSnippet = false, unique = this._uniqueSelectorFor(targetEl)) {
+		/** @type {(n: number) => string} */
+		const matchNote = (n) => n < 0 ? "invalid" : n === 1 ? "1 match" : n + " matches";
+		// paths start at the ancestor, so count in its document (main or popout) or shadow root
+		const root = /** @type {Document | ShadowRoot} */ (ancestorEl.getRootNode());
+		/** @type {(selector: string) => string} */
+		const count = (selector) => matchNote(this._countMatches(selector, root));
+		const paths = this._buildPathsBetween(ancestorEl, targetEl, this._selectorOptions());
+		if (forSnippet) return "/* " + commentSafe(paths.descendant) + "\n   " + commentSafe(unique) + " */\n" + paths.child + " {\n}\n";
+		let text = paths.descendant + " /* " + count(paths.descendant) + " */\n"
+			+ paths.child + " /* " + count(paths.child) + " */\n";
+		// prefix forms, only when some attribute in the chain is path-like
+		const prefixed = this._buildPathsBetween(ancestorEl, targetEl, Object.assign(this._selectorOptions(), { attributePrefix: true }));
+		if (prefixed.child !== paths.child) {
+			text += prefixed.descendant + " /* prefix, " + count(prefixed.descendant) + " */\n"
+				+ prefixed.child + " /* prefix, " + count(prefixed.child) + " */\n";
+		}
+		return text + unique + " /* shortest unique */\n";
+	}
+
+	/**
+	 * Count the elements a selector matches in the node's document.
+	 * ### Callers
+	 * - {@link _uniqueSelectorFor}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {string} selector May contain boundary markers, see {@link _queryAcross}.
+	 * @param {Document | ShadowRoot} [doc=document]
+	 * @returns {number} Match count, or -1 when the selector is invalid.
+	 */
+	_countMatches(selector, doc = document) {
+		try { return this._queryAcross(selector, doc).length; } catch { return -1; }
+	}
+
+	/**
+	 * querySelectorAll for selectors split by boundary markers, e.g.
+	 * ".host /* ::shadow *\/ .inner" or "iframe.embed /* iframe *\/ body .x".
+	 * Each part is matched anywhere inside the open shadow roots or same-origin frame
+	 * documents of the previous part's matches.
+	 * ### Callers
+	 * - {@link _countMatches}
+	 * - {@link _findCaptured}
+	 * @private
+	 * @param {string} selector
+	 * @param {Document | ShadowRoot} [doc=document]
+	 * @returns {Element[]}
+	 * @throws {DOMException} When a part is not a valid selector.
+	 */
+	_queryAcross(selector, doc = document) {
+		const parts = selector.split(BOUNDARY_SPLIT);
+		/** @type {(Document | ShadowRoot)[]} */
+		let scopes = [doc];
+		/** @type {Element[]} */
+		let found = [];
+		for (let i = 0; i < parts.length; i += 2) {
+			found = scopes.flatMap((scope) => Array.from(scope.querySelectorAll(parts[i])));
+			if (i + 1 >= parts.length) break;
+			const shadow = parts[i + 1] === BOUNDARY_MARKERS.shadow;
+			scopes = [];
+			for (const el of found) {
+				/** @type {Document | ShadowRoot | null} */
+				let next = null;
+				try {
+					next = shadow ? el.shadowRoot : /** @type {HTMLIFrameElement} */ (el).contentDocument || null;
+				} catch (e) { if (this._debug) console.error(e); }
+				if (next) scopes.push(next);
+			}
+		}
+		return found;
+	}
+
+	/**
+	 * Build an attribute selector such as [data-type="markdown"].
+	 * @private
+	 * @param {string} name
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	_attrSelector(name, value) {
+		return "[" + this._cssEscape(name) + '="' + String(value).replace(/["\\]/g, "\\$&") + '"]';
+	}
+
+	/**
+	 * Candidate compound selectors for a single element in tiers, most stable first: the id,
+	 * priority and data-* attributes, classes from rarest to most common with a class pair and
+	 * the tag form, then the tag and a positional :nth-child form. Tiers can be empty.
+	 * ### Callers
+	 * - {@link _uniqueSelectorWithin}
+	 * @private
+	 * @param {Element} el
+	 * @returns {string[][]}
+	 */
+	_selectorCandidates(el) {
+		const root = /** @type {Document | ShadowRoot} */ (el.getRootNode());
+		const tag = el.tagName.toLowerCase();
+		const ids = el.id ? ["#" + this._cssEscape(el.id)] : [];
+		// priority attributes first (they may include non-data ones such as aria-label), then other data-*
+		const names = this._attributeNames();
+		const attributes = Array.from(el.attributes)
+			.filter((a) => (names.includes(a.name) || a.name.startsWith("data-")) && a.value.length <= 80)
+			.sort((a, b) => (names.indexOf(a.name) + 1 || Infinity) - (names.indexOf(b.name) + 1 || Infinity))
+			.map((a) => a.value ? this._attrSelector(a.name, a.value) : "[" + this._cssEscape(a.name) + "]");
+		const classes = this._splitClasses(el).kept
+			.map((c) => ({ c, n: root.querySelectorAll("." + this._cssEscape(c)).length }))
+			.sort((a, b) => a.n - b.n)
+			.map((x) => "." + this._cssEscape(x.c));
+		const classForms = classes.slice();
+		if (classes.length > 1) classForms.push(classes[0] + classes[1]);
+		if (classes.length) classForms.push(tag + classes[0]);
+		let i = 1, /** @type {Element | null} */ sib = el;
+		while ((sib = sib.previousElementSibling)) i++;
+		return [ids, attributes, classForms, [tag, (classes[0] || tag) + ":nth-child(" + i + ")"]];
+	}
+
+	/**
+	 * Find the shortest selector that matches only el, verified with querySelectorAll.
+	 * Candidates are tried in tiers of stability: the element's own id, attributes, classes,
+	 * then tag and position, then those paired with each ancestor's candidates. The shortest
+	 * unique candidate of the first tier that has one wins; a full :nth-child chain from <body>
+	 * is the fallback.
+	 * Inside a shadow root or same-origin frame the search runs within that root and is prefixed
+	 * with the host's (or frame's) unique selector and a boundary marker.
+	 * ### Callers
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @returns {string}
+	 */
+	_uniqueSelectorFor(el) {
+		const doc = el.ownerDocument;
+		const root = /** @type {Document | ShadowRoot} */ (el.getRootNode());
+		const inShadow = root.nodeType === 11;
+		/** @type {Element | null | undefined} */
+		let outer = null;
+		try { outer = inShadow ? /** @type {ShadowRoot} */ (root).host : doc.defaultView?.frameElement; } catch (e) { if (this._debug) console.error(e); }
+		const own = this._uniqueSelectorWithin(el, root);
+		if (!outer) return own;
+		const marker = inShadow ? BOUNDARY_MARKERS.shadow : BOUNDARY_MARKERS.iframe;
+		return this._uniqueSelectorFor(/** @type {HTMLElement} */ (outer)) + " " + marker + " " + own;
+	}
+
+	/**
+	 * {@link _uniqueSelectorFor} within one document or shadow root.
+	 * @private
+	 * @param {HTMLElement} el
+	 * @param {Document | ShadowRoot} root
+	 * @returns {string}
+	 */
+	_uniqueSelectorWithin(el, root) {
+		const doc = el.ownerDocument;
+		/** @type {(sel: string) => boolean} */
+		const isUnique = (sel) => {
+			try {
+				const m = root.querySelectorAll(sel);
+				return m.length === 1 && m[0] === el;
+			} catch { return false; }
+		};
+		// shortest unique selector of a tier; ties keep the more stable (or nearer) one
+		/** @type {(tier: string[]) => string | undefined} */
+		const shortest = (tier) => tier.filter(isUnique).sort((a, b) => a.length - b.length)[0];
+		const own = this._selectorCandidates(el);
+		for (const tier of own) {
+			const found = shortest(tier);
+			if (found) return found;
+		}
+
+		// last tier: the most stable own forms plus the positional one, under each ancestor's
+		const flat = own.flat();
+		const ownTop = flat.slice(0, 3).concat(flat.length > 3 ? flat[flat.length - 1] : []);
+		/** @type {string[]} */
+		const combined = [];
+		let anc = el.parentElement;
+		for (let level = 0; anc && anc !== doc.documentElement && level < 8; level++, anc = anc.parentElement) {
+			const combinator = level === 0 ? " > " : " ";
+			for (const a of this._selectorCandidates(anc).flat().slice(0, 4)) {
+				for (const o of ownTop) combined.push(a + combinator + o);
+			}
+		}
+		const found = shortest(combined);
+		if (found) return found;
+
+		// Fallback: positional chain from <body> (from the top of a shadow root, not anchored there)
+		const parts = [];
+		for (let cur = /** @type {Element | null} */ (el); cur && cur !== doc.body; cur = cur.parentElement) {
+			let i = 1, /** @type {Element | null} */ sib = cur;
+			while ((sib = sib.previousElementSibling)) i++;
+			parts.unshift(cur.tagName.toLowerCase() + ":nth-child(" + i + ")");
+		}
+		if (root.nodeType === 11) return parts.join(" > ");
+		parts.unshift("body");
+		return parts.join(" > ");
+	}
+
+	/**
+	 * Computed declarations worth showing for a node: inherited properties that differ from
+	 * the parent's value, other properties that differ from the tag's user-agent default.
+	 * ### Callers
+	 * - {@link _css}
+	 * @private
+	 * @param {Element} node
+	 * @param {StyleDefaults} defaults
+	 * @returns {Map<string, string>} Property to value, in COMPUTED_STYLE_PROPS order.
+	 */
+	_computedDeclarations(node, defaults) {
+		/** @type {Map<string, string>} */
+		const out = new Map();
+		const view = node.ownerDocument.defaultView;
+		if (!view) return out;
+		const cs = view.getComputedStyle(node);
+		const parent = node.parentElement ? view.getComputedStyle(node.parentElement) : null;
+		const tagDefaults = defaults.get(node);
+		for (const prop of Object.values(COMPUTED_STYLE_PROPS).flat()) {
+			const value = cs.getPropertyValue(prop);
+			if (!value) continue;
+			if (INHERITED_STYLE_PROPS.has(prop) && parent) {
+				if (parent.getPropertyValue(prop) === value) continue;
+			} else if (tagDefaults.get(prop) === value) {
+				continue;
+			}
+			out.set(prop, value);
+		}
+		return out;
+	}
+
+	/**
+	 * Pseudo-elements of a node that render something: ::before/::after with generated
+	 * content, ::marker on list items whose marker content is set, and ::placeholder on inputs
+	 * with a placeholder.
+	 * ### Callers
+	 * - {@link _css}
+	 * @private
+	 * @param {Element} node
+	 * @returns {Map<string, string>} Pseudo-element name to its content value.
+	 */
+	_pseudoElementsFor(node) {
+		/** @type {Map<string, string>} */
+		const out = new Map();
+		const view = node.ownerDocument.defaultView;
+		if (!view) return out;
 		try {
-			if (navigator && navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
-				await navigator.clipboard.writeText(text);
+			for (const name of ["::before", "::after"]) {
+				const content = view.getComputedStyle(node, name).getPropertyValue("content");
+				if (content && content !== "none" && content !== "normal") out.set(name, content);
+			}
+			if (view.getComputedStyle(node).getPropertyValue("display").includes("list-item")) {
+				// "normal" is the list-style marker every list item has
+				const content = view.getComputedStyle(node, "::marker").getPropertyValue("content");
+				if (content && content !== "normal") out.set("::marker", content);
+			}
+			const placeholder = node.getAttribute("placeholder");
+			if (placeholder && /^(INPUT|TEXTAREA)$/.test(node.tagName)) out.set("::placeholder", '"' + quoteCss(placeholder) + '"');
+		} catch (e) { if (this._debug) console.error(e); }
+		return out;
+	}
+
+	/**
+	 * Build ancestors from stopAt (inclusive) down to node (inclusive).
+	 * ### Callers
+	 * - {@link _buildPathsBetween}
+	 * - {@link _openMenuForPath}
+	 * - {@link _openMenuForCss}
+	 * @private
+	 * @param {HTMLElement} node
+	 * @param {HTMLElement} [stopAt] Defaults to the <body> of the window (main or popout) showing node.
+	 * @returns {HTMLElement[]}
+	 */
+	_buildAncestry(node, stopAt = this._hostWindow(node.ownerDocument).document.body) {
+		const chain = [];
+		/** @type {HTMLElement | null} */
+		let cur = node;
+		let guard = 0;
+		while (cur && cur.nodeType === 1 && guard++ < 2000) {
+			chain.push(cur);
+			if (cur === stopAt) break;
+			cur = this._parentAcross(cur).parent;
+		}
+		chain.reverse(); // body first
+		return chain;
+	}
+
+	/**
+	 * Parent of a node, crossing shadow-root and same-origin frame boundaries:
+	 * the top level of a shadow tree goes to its host, a frame's <body> (or <html>) to the
+	 * <iframe> element. Cross-origin frames end the chain.
+	 * ### Callers
+	 * - {@link _buildAncestry}
+	 * - {@link _buildPathsBetween}
+	 * @private
+	 * @param {Element} node
+	 * @returns {{parent: HTMLElement | null, boundary: Boundary}}
+	 */
+	_parentAcross(node) {
+		const doc = node.ownerDocument;
+		if (node === doc.body || node === doc.documentElement) {
+			/** @type {Element | null | undefined} */
+			let frame = null;
+			try { frame = doc.defaultView?.frameElement; } catch (e) { if (this._debug) console.error(e); }
+			if (frame) return { parent: /** @type {HTMLElement} */ (frame), boundary: "iframe" };
+		}
+		if (node.parentElement) return { parent: node.parentElement, boundary: "" };
+		const root = node.parentNode;
+		// ShadowRoot is checked by shape: instanceof fails for nodes of other windows
+		if (root && root.nodeType === 11 && "host" in root) {
+			return { parent: /** @type {HTMLElement} */ (/** @type {ShadowRoot} */ (root).host), boundary: "shadow" };
+		}
+		return { parent: null, boundary: "" };
+	}
+
+	/**
+	 * Child elements of a node, minus skipped tags. With crossBoundaries, an open shadow root's
+	 * top-level elements come first and a same-origin frame contributes its <body>.
+	 * ### Callers
+	 * - {@link _renderCss}
+	 * - {@link _openExplorer}
+	 * @private
+	 * @param {HTMLElement} node
+	 * @param {{crossBoundaries?: boolean, skipTags?: Set<string>}} opts
+	 * @returns {{child: HTMLElement, boundary: Boundary}[]}
+	 */
+	_childrenAcross(node, opts) {
+		/** @type {{child: HTMLElement, boundary: Boundary}[]} */
+		const out = [];
+		/** @type {(child: Element, boundary: Boundary) => void} */
+		const add = (child, boundary) => {
+			if (opts.skipTags && opts.skipTags.has(child.tagName)) return;
+			out.push({ child: /** @type {HTMLElement} */ (child), boundary });
+		};
+		if (opts.crossBoundaries) {
+			if (node.shadowRoot) for (const child of Array.from(node.shadowRoot.children)) add(child, "shadow");
+			if (node.tagName === "IFRAME" || node.tagName === "FRAME") {
+				try {
+					const body = /** @type {HTMLIFrameElement} */ (node).contentDocument?.body;
+					if (body) add(body, "iframe");
+				} catch (e) { if (this._debug) console.error(e); }
+			}
+		}
+		for (let child = node.firstElementChild; child; child = child.nextElementSibling) add(child, "");
+		return out;
+	}
+
+	/**
+	 * Build a compact human-readable label for a node (e.g., tag#id.cls1.cls2[data-type="x"] [+N]).
+	 * ### Callers
+	 * - {@link _openMenuForPath}
+	 * - {@link _openMenuForCss}
+	 * @private
+	 * @param {Element} node
+	 * @param {number} [maxClasses=3]
+	 * @param {boolean} [includeTag=true]
+	 * @param {RedactFields | null} [redact] Redact the attribute value, for labels that go into output.
+	 * @returns {string}
+	 */
+	_labelFor(node, maxClasses = 3, includeTag = true, redact = null) {
+		const tag = includeTag ? node.tagName.toLowerCase() : "";
+		/** @type {(name: string) => string} */
+		const name = (n) => redact ? redactName(n, redact, (v) => this._isVaultPath(v)) : n;
+		const id = node.id ? "#" + name(node.id) : "";
+		const classes = this._splitClasses(node).kept.map(name);
+		const shown = classes.slice(0, maxClasses);
+		const extra = classes.length - shown.length;
+		const cls = shown.length ? "." + shown.join(".") : "";
+		const attr = this._attributeFor(node, this._attributeNames());
+		const value = !attr ? "" : redact ? redactAttribute(attr.name, attr.value, redact, (v) => this._isVaultPath(v)) : attr.value;
+		const attrValue = value.length > 40 ? value.slice(0, 39) + "…" : value;
+		const attrLabel = attr ? "[" + attr.name + '="' + attrValue + '"]' : "";
+		const more = extra > 0 ? " [+" + extra + "]" : "";
+		const base = (tag + id + cls + attrLabel) || node.tagName.toLowerCase();
+		return base + more;
+	}
+
+	/**
+	 * Build a nested CSS tree starting at root and including all descendants, and send it to the
+	 * clipboard or snippet (see {@link _output}).
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link regenerateCapture}
+	 * @private
+	 * @param {HTMLElement} root Root element to start from (inclusive).
+	 * @param {CssOptions} [options]
+	 * @returns {Promise<CssRender | null>} What was sent, with the format actually used; null when
+	 * cancelled or when sending failed.
+	 */
+	async _css(root, options) {
+		const render = await this._renderCss(root, options);
+		if (!render) return null;
+		const target = (options && options.target) || this.settings.outputTarget;
+		const ok = await this._output(render.text, render.formatter.name, target, this._labelFor(root, 3, true, render.redact));
+		return ok ? render : null;
+	}
+
+	/**
+	 * Build the CSS tree of root and its descendants and render it.
+	 * For each level, emits selector metadata and sampled text content.
+	 * The tree is rendered by one of the {@link FORMATTERS} (nested CSS by default); a snippet
+	 * target always gets a format that is valid CSS, with the content declarations commented out.
+	 * ### Callers
+	 * - {@link _css}
+	 * - {@link _openCssPreview}
+	 * @private
+	 * @param {HTMLElement} root Root element to start from (inclusive).
+	 * @param {CssOptions} [options]
+	 * @returns {Promise<CssRender | null>} Null when root is not an element or the capture was cancelled.
+	 */
+	async _renderCss(root, options) {
+		const opts = Object.assign({
+			useIds: true,
+			useClasses: true,
+			includeTagIfNoClasses: true,
+			includeNthChild: false,
+			indent: "  ",
+			maxDepth: Infinity,
+			maxNodes: DEFAULT_SETTINGS.maxNodes,
+			maxTextLength: 50,
+			listStateClasses: true,
+			attributes: [],
+			attributePrefix: false,
+			computedStyles: false,
+			pseudoElements: false,
+			interactionStates: false,
+			crossBoundaries: false,
+			/** @type {"exact" | "fuzzy"} */
+			siblingGrouping: "exact",
+			/** @type {OutputFormat} */
+			format: "nested",
+			skipTags: new Set(["SCRIPT", "STYLE", "TEMPLATE"]),
+			/** @type {RedactFields | null} */
+			redact: null,
+			/** @type {(value: string) => boolean} */
+			isVaultPath: () => false
+		}, options || {});
+
+		if (!root || root.nodeType !== 1) {
+			console.warn("[element-snatch-css] _css called without a valid element");
+			return null;
+		}
+
+		let nodeCount = 0;
+		let truncated = false;
+
+		/** @type {(n: HTMLElement) => string} */
+		const selectorFor = (n) => this._selectorFor(n, opts);
+
+		/**
+		 * Child elements to walk (see {@link _childrenAcross}), each with the path entry for it,
+		 * prefixed with a boundary marker when crossing one.
+		 * @type {(node: HTMLElement) => { child: HTMLElement, sel: string }[]}
+		 */
+		const childrenOf = (node) => cutBody(node) ? [] : this._childrenAcross(node, opts)
+			.map(({ child, boundary }) => ({ child, sel: (boundary ? BOUNDARY_MARKERS[boundary] + " " : "") + selectorFor(child) }));
+
+		/**
+		 * Whether redaction stops the tree at this note body (editor or preview content). The
+		 * captured element itself is always walked: choosing it asks for its contents.
+		 * @type {(node: HTMLElement) => boolean}
+		 */
+		const cutBody = (node) => !!(opts.redact && opts.redact.bodies) && node !== root && node.matches(NOTE_BODIES);
+
+		/**
+		 * Cut text to <= maxTextLength chars (ending in "...") when longer.
+		 * @type {(s: string) => string}
+		 */
+		const truncate = (s) => {
+			const max = opts.maxTextLength;
+			return s.length > max ? s.slice(0, Math.max(0, max - 3)) + "..." : s;
+		};
+
+		/**
+		 * Text as it goes into the output: its redaction placeholder, or cut to length.
+		 * @type {(s: string) => string}
+		 */
+		const textOut = (s) => opts.redact && opts.redact.text ? redactText(s) : truncate(s);
+
+		/**
+		 * Collect direct text nodes, normalize+trim and cut to <= maxTextLength chars.
+		 * Returns an array of strings (possibly empty). Formatters escape as needed.
+		 * @type {(node: HTMLElement) => string[]}
+		 */
+		const textContentsFor = (node) => {
+			const out = [];
+			// [ts] Type 'NodeListOf<ChildNode>' must have a '[Symbol.iterator]()' method that returns an iterator.
+			for (const ch of node.childNodes) {
+				if (ch.nodeType === Node.TEXT_NODE) {
+					let s = ch.nodeValue || "";
+					s = s.replace(/\s+/g, " ").trim();
+					if (!s) continue;
+					s = textOut(s);
+					out.push(s);
+				}
+			}
+			return out;
+		};
+		/**
+		 * Return the first non-empty trimmed text node content (<= maxTextLength chars) for a node.
+		 * @type {(node: HTMLElement) => string}
+		 */
+		const primaryTextFor = (node) => {
+			for (const ch of node.childNodes) {
+				if (ch.nodeType === Node.TEXT_NODE) {
+					let s = ch.nodeValue || "";
+					s = s.replace(/\s+/g, " ").trim();
+					if (!s) continue;
+					s = textOut(s);
+					return s;
+				}
+			}
+			return "";
+		};
+
+		/**
+		 * Build the state note for a group of siblings, e.g. "is-active ×1, has-focus".
+		 * Classes not present on every member carry a count.
+		 * @type {(nodes: HTMLElement[]) => string}
+		 */
+		const stateNoteFor = (nodes) => {
+			/** @type {Map<string, number>} */
+			const counts = new Map();
+			for (const nd of nodes) {
+				for (const c of this._splitClasses(nd).state) counts.set(c, (counts.get(c) || 0) + 1);
+			}
+			if (!counts.size) return "";
+			const parts = [];
+			for (const [c, n] of counts) parts.push(n < nodes.length ? c + " ×" + n : c);
+			return parts.join(", ");
+		};
+
+		const styleDefaults = opts.computedStyles ? new StyleDefaults(root.ownerDocument) : null;
+
+		/**
+		 * Computed declarations shared by every node in a group (a single node is a group of one).
+		 * @type {(nodes: HTMLElement[]) => [string, string][]}
+		 */
+		const computedFor = (nodes) => {
+			if (!styleDefaults) return [];
+			return sharedEntries(nodes.map((nd) => this._computedDeclarations(nd, styleDefaults)));
+		};
+
+		/**
+		 * Pseudo-elements with generated content shared by every node in a group.
+		 * @type {(nodes: HTMLElement[]) => [string, string][]}
+		 */
+		const pseudosFor = (nodes) => {
+			if (!opts.pseudoElements) return [];
+			return sharedEntries(nodes.map((nd) => this._pseudoElementsFor(nd)));
+		};
+
+		const interactionRules = opts.interactionStates ? await this._interactionRules(root.ownerDocument) : null;
+
+		/**
+		 * Interaction-state rules that apply to every node in a group.
+		 * @type {(nodes: HTMLElement[]) => InteractionRule[]}
+		 */
+		const interactionsFor = (nodes) => {
+			if (!interactionRules) return [];
+			return interactionRules.filter((r) => nodes.every((nd) => this._safeMatches(nd, r.test)));
+		};
+
+		// Cooperative scheduling: yield to the event loop every frame's worth of work and
+		// show a progress notice with Cancel once the capture takes more than one slice. The
+		// message is only built when a slice ends.
+		let cancelled = false;
+		let superseded = false;
+		let sliceStart = performance.now();
+		/** @type {Noticer | null} */
+		let progress = null;
+		/** @type {(what: () => string) => Promise<void>} */
+		const pause = async (what) => {
+			if (opts.isCancelled && opts.isCancelled()) {
+				cancelled = superseded = true;
+				return;
+			}
+			if (performance.now() - sliceStart < 16) return;
+			if (!progress) progress = new Noticer().progress(what(), () => { cancelled = true; });
+			else progress.update(what());
+			await new Promise((resolve) => setTimeout(resolve, 0));
+			sliceStart = performance.now();
+		};
+
+		/**
+		 * Structural index of the tree, built bottom-up in one pass: per element its visited
+		 * children and a key identifying its structure (own selector plus its children's keys,
+		 * text excluded). Siblings with equal keys have identical subtrees and are grouped.
+		 * Keys are interned to small numbers so each signature stays proportional to the
+		 * element's child count and the whole pass is linear in the number of nodes.
+		 * @type {Map<HTMLElement, { kids: { child: HTMLElement, sel: string }[], key: number }>}
+		 */
+		const index = new Map();
+		/** @type {Map<string, number>} */
+		const keyIds = new Map();
+		let built = 0;
+		const rootSel = selectorFor(root);
+		/** @type {Map<SnatchNode, HTMLElement[]>} Elements behind each output node. */
+		const members = new Map();
+
+		/** @type {{ el: HTMLElement, sel: string, depth: number, kids: { child: HTMLElement, sel: string }[] | null }[]} */
+		const stack = [{ el: root, sel: rootSel, depth: 0, kids: null }];
+		while (stack.length && !cancelled) {
+			await pause(() => "Snatching CSS: indexed " + index.size.toLocaleString() + " nodes");
+			const top = stack[stack.length - 1];
+			if (!top.kids) {
+				// first visit (pre-order): count, then expand children in document order
+				if (truncated || ++nodeCount > opts.maxNodes) { truncated = true; stack.pop(); continue; }
+				top.kids = top.depth < opts.maxDepth ? childrenOf(top.el) : [];
+				for (let i = top.kids.length - 1; i >= 0; i--) {
+					stack.push({ el: top.kids[i].child, sel: top.kids[i].sel, depth: top.depth + 1, kids: null });
+				}
+				continue;
+			}
+			// second visit (post-order): every child is indexed or was cut by maxNodes
+			stack.pop();
+			const kids = top.kids.filter((k) => index.has(k.child));
+			const signature = top.sel + "(" + kids.map((k) => index.get(k.child)?.key).join(",") + ")";
+			let key = keyIds.get(signature);
+			if (key === undefined) keyIds.set(signature, key = keyIds.size);
+			index.set(top.el, { kids, key });
+		}
+
+		/**
+		 * Fuzzy grouping: fold exact groups of siblings with the same tag whose kept classes differ
+		 * by at most FUZZY_CLASS_DIFF (sharing at least one) and whose child selectors are a subset
+		 * of one another. A fold is represented by the member with the most children, selected by
+		 * the classes every member shares, and notes per member how it differs: extra classes, state
+		 * classes not every member has, and missing children.
+		 * @type {(groups: { indexList: number[] }[], items: { child: HTMLElement, sel: string }[]) =>
+		 *   { indexList: number[], rep: number, sel: string, classes?: string[], variants: [string, number][] }[]}
+		 */
+		const foldSimilar = (groups, items) => {
+			const info = items.map((it) => Object.assign(this._splitClasses(it.child), {
+				keys: new Set((index.get(it.child)?.kids || []).map((c) => c.sel.replace(BOUNDARY_SPLIT, "").trim()))
+			}));
+			/** @type {(a: number, b: number) => boolean} */
+			const similar = (a, b) => {
+				const x = items[a].child, y = items[b].child;
+				if (x.tagName !== y.tagName || x.id !== y.id) return false;
+				const ca = info[a].kept, cb = info[b].kept;
+				const shared = ca.filter((c) => cb.includes(c)).length;
+				if ((ca.length || cb.length) && !shared) return false;
+				if (ca.length + cb.length - 2 * shared > FUZZY_CLASS_DIFF) return false;
+				const [small, big] = info[a].keys.size <= info[b].keys.size ? [info[a].keys, info[b].keys] : [info[b].keys, info[a].keys];
+				for (const k of small) if (!big.has(k)) return false;
 				return true;
+			};
+
+			/** @type {number[][]} */
+			const clusters = [];
+			for (const g of groups) {
+				const cluster = clusters.find((c) => similar(c[0], g.indexList[0]));
+				if (cluster) cluster.push(...g.indexList);
+				else clusters.push(g.indexList.slice());
+			}
+
+			return clusters.map((list) => {
+				list.sort((a, b) => a - b); // document order, so per-occurrence texts line up
+				let rep = list[0];
+				for (const i of list) if (info[i].keys.size > info[rep].keys.size) rep = i;
+				const common = info[list[0]].kept.filter((c) => list.every((i) => info[i].kept.includes(c)));
+				// state classes never select, so they only show up in the notes
+				const commonState = info[list[0]].state.filter((c) => list.every((i) => info[i].state.includes(c)));
+				let sel = items[rep].sel;
+				if (list.some((i) => items[i].sel !== sel)) {
+					const marker = (sel.match(BOUNDARY_SPLIT) || [])[1];
+					const tag = items[rep].child.tagName.toLowerCase();
+					sel = (marker ? marker + " " : "") + (common.length ? "." + common.map((c) => this._cssEscape(c)).join(".") : tag);
+				}
+				/** @type {Map<string, number>} */
+				const notes = new Map();
+				for (const i of list) {
+					const parts = info[i].kept.filter((c) => !common.includes(c))
+						.concat(info[i].state.filter((c) => !commonState.includes(c)))
+						.map((c) => "." + this._cssEscape(c));
+					for (const k of info[rep].keys) if (!info[i].keys.has(k)) parts.push("no " + k);
+					const note = parts.join(", ");
+					if (note) notes.set(note, (notes.get(note) || 0) + 1);
+				}
+				return { indexList: list, rep, sel, classes: common, variants: Array.from(notes) };
+			});
+		};
+
+		/**
+		  * Build the output tree for a node and descendants (includes text-node content).
+		  * Uses dedupe across siblings based on the structural keys of the index.
+		  * @type {(node: HTMLElement, depth: number, pathSelectors: string[], overrideTexts?: string[], groupNodes?: HTMLElement[]) => Promise<SnatchNode | null>}
+		  */
+		const buildNode = async (node, depth, pathSelectors, overrideTexts, groupNodes) => {
+			const indexed = index.get(node);
+			if (!indexed || cancelled) return null;
+			built += groupNodes ? groupNodes.length : 1;
+			await pause(() => "Snatching CSS: built " + built.toLocaleString() + " of " + index.size.toLocaleString() + " nodes");
+			const group = groupNodes || [node];
+
+			/** @type {Record<string, string>} */
+			const attributes = {};
+			for (const a of Array.from(node.attributes)) {
+				if (a.name !== "class" && a.name !== "id" && a.name !== "style") attributes[a.name] = a.value;
+			}
+
+			const boundary = depth > 0 ? this._parentAcross(node).boundary : "";
+			const pathEntry = pathSelectors[pathSelectors.length - 1];
+
+			/** @type {SnatchNode} */
+			const out = {
+				selector: boundary ? pathEntry.slice(BOUNDARY_MARKERS[boundary].length + 1) : pathEntry,
+				path: pathSelectors,
+				boundary,
+				tag: node.tagName.toLowerCase(),
+				id: node.id || "",
+				classes: this._splitClasses(node).kept,
+				attributes,
+				// Text-node content: one text per occurrence when collapsing duplicates
+				texts: cutBody(node)
+					? ["<note body redacted>"]
+					: (overrideTexts && Array.isArray(overrideTexts) && overrideTexts.length)
+						? overrideTexts
+						: textContentsFor(node),
+				// Stripped state classes (of every grouped sibling)
+				states: opts.listStateClasses ? stateNoteFor(group) : "",
+				// Computed styles (only those shared by every grouped sibling)
+				computed: computedFor(group),
+				pseudos: pseudosFor(group),
+				interactions: interactionsFor(group),
+				variants: [],
+				count: group.length,
+				children: []
+			};
+			members.set(out, group);
+
+			// Group children by structural key (stable order by first occurrence)
+			const items = indexed.kids;
+			/** @type {Map<number, number>} */
+			const idxByCanon = new Map();
+			/** @type {{ key: number, indexList: number[] }[]} */
+			const groups = [];
+
+			for (let i = 0; i < items.length; i++) {
+				const key = /** @type {number} */ (index.get(items[i].child)?.key);
+				const existing = idxByCanon.get(key); // number | undefined
+
+				if (existing === undefined) {
+					idxByCanon.set(key, groups.length);
+					groups.push({ key, indexList: [i] });
+				} else {
+					groups[existing].indexList.push(i);
+				}
+			}
+
+			// One child node per group; fuzzy grouping folds similar groups first
+			/** @type {ReturnType<typeof foldSimilar>} */
+			const folds = opts.siblingGrouping === "fuzzy"
+				? foldSimilar(groups, items)
+				: groups.map((g) => ({ indexList: g.indexList, rep: g.indexList[0], sel: items[g.indexList[0]].sel, variants: [] }));
+			for (const g of folds) {
+				const repIndex = g.rep;
+				const count = g.indexList.length;
+				const child = items[repIndex].child;
+				const childSel = g.sel;
+
+				// Build override texts when collapsing duplicates: one text per occurrence
+				/** @type {string[] | undefined} */
+				let childOverrideTexts = undefined;
+				if (count > 1) {
+					childOverrideTexts = g.indexList.map((idx) => {
+						const nd = items[idx].child;
+						const t = primaryTextFor(nd);
+						return t || "";
+					});
+				}
+
+				const groupNodes = g.indexList.map((idx) => items[idx].child);
+				const childNode = await buildNode(child, depth + 1, pathSelectors.concat(childSel), childOverrideTexts, groupNodes);
+				if (childNode) {
+					childNode.variants = g.variants;
+					if (g.classes) childNode.classes = g.classes;
+					out.children.push(childNode);
+				}
+			}
+
+			return out;
+		};
+
+		// Kick off
+		/** @type {SnatchNode | null} */
+		let tree;
+		try {
+			tree = await buildNode(root, 0, [rootSel]);
+		} finally {
+			if (styleDefaults) styleDefaults.dispose();
+			// assigned inside pause(), which TypeScript does not follow
+			const notice = /** @type {Noticer | null} */ (progress);
+			if (notice) notice.dispose();
+		}
+		if (cancelled) {
+			if (!superseded) this._withNotice("CSS capture cancelled", 3000);
+			return null;
+		}
+		if (tree && opts.redact) redactTree(tree, opts.redact, opts.isVaultPath);
+
+		const target = opts.target || this.settings.outputTarget;
+		/** @type {OutputFormat} */
+		let format = FORMATTERS[opts.format] ? opts.format : "nested";
+		// snippets only get formats that are valid CSS
+		if (target === "snippet" && !FORMATTERS[format].css) format = "nested";
+		const formatter = FORMATTERS[format];
+		/** @type {SnatchNode[]} */
+		const owners = [];
+		const text = tree ? formatter.format(tree, { indent: opts.indent, truncated, owners, scaffold: target === "snippet" }) : "";
+		return { text, format, formatter, tree, truncated, lines: owners.map((node) => members.get(node)), indent: opts.indent, redact: opts.redact };
+	}
+	// #endregion __Plugin_core
+
+	// #region __Plugin_stylesheets
+	/**
+	 * Walk every style rule in a document's stylesheets, descending into media, supports,
+	 * layer, container and import rules. Rules under a media or supports condition that does
+	 * not currently apply are reported as inactive. Cross-origin sheets are skipped.
+	 * @private
+	 * @param {Document} doc
+	 * @param {(entry: StyleRuleEntry) => void} cb
+	 */
+	_eachStyleRule(doc, cb) {
+		const view = doc.defaultView;
+		let order = 0;
+		/** @type {(rules: CSSRuleList, sheet: CSSStyleSheet, conditions: string[], active: boolean) => void} */
+		const walk = (rules, sheet, conditions, active) => {
+			for (const rule of Array.from(rules)) {
+				if ("selectorText" in rule) {
+					const styleRule = /** @type {CSSStyleRule} */ (rule);
+					cb({ rule: styleRule, sheet, conditions, active, order: order++ });
+					// CSS nesting: nested rules are relative (&) and are not matched directly
+					continue;
+				}
+				if ("styleSheet" in rule) {
+					const imported = /** @type {CSSImportRule} */ (rule).styleSheet;
+					let importedRules = null;
+					try { importedRules = imported && imported.cssRules; } catch { }
+					if (imported && importedRules) walk(importedRules, imported, conditions, active);
+					continue;
+				}
+				if (!("cssRules" in rule)) continue;
+				const group = /** @type {CSSGroupingRule & {conditionText?: string}} */ (rule);
+				const header = rule.cssText.slice(0, rule.cssText.indexOf("{")).trim();
+				let ok = active;
+				try {
+					if (header.startsWith("@media") && view) ok = ok && view.matchMedia(group.conditionText || "all").matches;
+					else if (header.startsWith("@supports")) ok = ok && CSS.supports(group.conditionText || "");
+				} catch { }
+				walk(group.cssRules, sheet, conditions.concat(header), ok);
 			}
-		} catch (e) { if (this._debug) console.error(e); }
-		return false;
+		};
+		for (const sheet of Array.from(doc.styleSheets)) {
+			/** @type {CSSRuleList | null} */
+			let rules = null;
+			try { rules = sheet.cssRules; } catch { }
+			if (rules && !sheet.disabled) walk(rules, sheet, [], true);
+		}
 	}
 
 	/**
-	 * Escape an arbitrary string for safe use in a CSS selector.
+	 * Whether el matches a selector, treating invalid or unsupported selectors as no match.
 	 * @private
-	 * @param {string} str
-	 * @returns {string}
+	 * @param {Element} el
+	 * @param {string} selector
+	 * @returns {boolean}
 	 */
-	_cssEscape(str) {
-		if (window.CSS && typeof window.CSS.escape === "function") return CSS.escape(str);
-		return String(str).replace(/[^a-zA-Z0-9_-]/g, function (c) {
-			return "\\" + c.charCodeAt(0).toString(16) + " ";
-		});
+	_safeMatches(el, selector) {
+		try { return el.matches(selector); } catch { return false; }
 	}
 
 	/**
-	 * Handle Ctrl/Cmd + Middle mouse clicks to open menus.
-	 * - Ctrl/Cmd + Middle: CSS menu
-	 * - Ctrl/Cmd + Shift + Middle: Path menu
+	 * Split a selector list on top-level commas.
 	 * @private
-	 * @event
-	 * @param {MouseEvent} e
+	 * @param {string} selectorText
+	 * @returns {string[]}
 	 */
-	_onMouseDown(e) {
-		if (this._debug) console.log("[element-snatch-css] mousedown", e);
-		try {
-			const isMiddle = e.button === 1;
-			if (isMiddle && (e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey) {
-				if (this._debug) console.log("[element-snatch-css] mousedown OK _openMenuForCss", e);
-				e.preventDefault();
-				e.stopPropagation();
-				/** @type {HTMLElement} */
-				const target = (e.target instanceof HTMLElement ? (e.target.closest("*") || e.target) : document.body);
-				this._openMenuForCss(target, e, target);
+	_splitSelectorList(selectorText) {
+		const out = [];
+		let depth = 0, start = 0, quote = "";
+		for (let i = 0; i < selectorText.length; i++) {
+			const ch = selectorText[i];
+			if (quote) { if (ch === "\\") i++; else if (ch === quote) quote = ""; continue; }
+			if (ch === '"' || ch === "'") quote = ch;
+			else if (ch === "(" || ch === "[") depth++;
+			else if (ch === ")" || ch === "]") depth--;
+			else if (ch === "," && depth === 0) { out.push(selectorText.slice(start, i).trim()); start = i + 1; }
+		}
+		out.push(selectorText.slice(start).trim());
+		return out.filter(Boolean);
+	}
+
+	/**
+	 * Style rules in CSS source text with the line each selector starts on. Nested rules are
+	 * resolved against their parent (through & or as descendants). Rules inside @media, @supports,
+	 * @layer, @container and @scope count; other at-rule blocks (@font-face, @keyframes...) are skipped.
+	 * ### Callers
+	 * - {@link _auditSelectors}
+	 * @private
+	 * @param {string} text
+	 * @returns {{line: number, selectors: string[]}[]}
+	 */
+	_styleRulesIn(text) {
+		/** @type {{line: number, selectors: string[]}[]} */
+		const out = [];
+		/** @type {{selectors: string[], skip: boolean}[]} */
+		const stack = [];
+		const groups = ["media", "supports", "layer", "container", "scope", "document", "starting-style"];
+		let line = 1, start = 0, startLine = 0;
+		for (let i = 0; i < text.length; i++) {
+			const ch = text[i];
+			if (ch === "\n") { line++; continue; }
+			if (ch === "/" && text[i + 1] === "*") {
+				const end = text.indexOf("*/", i + 2);
+				const stop = end < 0 ? text.length : end + 2;
+				line += text.slice(i, stop).split("\n").length - 1;
+				i = stop - 1;
+				continue;
 			}
-			if (isMiddle && (e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey) {
-				if (this._debug) console.log("[element-snatch-css] mousedown OK _openMenuForPath", e);
-				e.preventDefault();
-				e.stopPropagation();
-				/** @type {HTMLElement} */
-				const target = (e.target instanceof HTMLElement ? (e.target.closest("*") || e.target) : document.body);
-				this._openMenuForPath(target, e, target);
+			if (ch === '"' || ch === "'") {
+				if (!startLine) startLine = line;
+				for (i++; i < text.length && text[i] !== ch; i++) {
+					if (text[i] === "\\") i++;
+					else if (text[i] === "\n") line++;
+				}
+				continue;
 			}
-		} catch (err) {
-			console.error("[element-snatch-css] onMouseDown error:", err);
+			if (ch === "{") {
+				const prelude = text.slice(start, i).replace(/\/\*[\s\S]*?\*\//g, "").trim();
+				const parent = stack[stack.length - 1];
+				if (parent && parent.skip) {
+					stack.push(parent);
+				} else if (prelude.startsWith("@")) {
+					const name = (prelude.match(/^@([\w-]+)/) || ["", ""])[1].toLowerCase();
+					stack.push({ selectors: parent ? parent.selectors : [], skip: !groups.includes(name) });
+				} else {
+					const own = this._splitSelectorList(prelude);
+					const scope = parent && parent.selectors.length
+						? (parent.selectors.length === 1 ? parent.selectors[0] : ":is(" + parent.selectors.join(", ") + ")")
+						: "";
+					const selectors = scope ? own.map((sel) => sel.includes("&") ? sel.replace(/&/g, scope) : scope + " " + sel) : own;
+					if (selectors.length) out.push({ line: startLine || line, selectors });
+					stack.push({ selectors, skip: false });
+				}
+			} else if (ch === "}") {
+				stack.pop();
+			} else if (ch !== ";") {
+				if (!startLine && !/\s/.test(ch)) startLine = line;
+				continue;
+			}
+			start = i + 1;
+			startLine = 0;
 		}
+		return out;
 	}
-	// #endregion __Plugin_utils
 
-	// #region __Plugin_highlight
 	/**
-	 * Ensure a singleton <style> for highlighter animations is present.
-	 * Contains a hue-rotate keyframes animation.
+	 * Specificity [ids, classes, types] of a single complex selector.
+	 * :is()/:not()/:has() take their most specific argument, :where() counts zero.
 	 * @private
+	 * @param {string} selector
+	 * @returns {[number, number, number]}
 	 */
-	_ensureHighlighterStyle() {
-		// Prefer reusing an existing style element by id to avoid duplicates across reloads
-		const existing = document.getElementById("esc-hi-style");
-		if (existing) { this._hiStyle = existing; return; }
-		if (this._hiStyle && document.head.contains(this._hiStyle)) return;
-		const style = document.createElement("style");
-		style.id = "esc-hi-style";
-		style.textContent = [
-			"@property --escHue {",
-			"  syntax: '<number>';",
-			"  inherits: false;",
-			"  initial-value: 0;",
-			"}",
-			"@keyframes escHueAnim {",
-			"  from { --escHue: 0; }",
-			"  to   { --escHue: 360; }",
-			"}"
-		].join("\n");
-		document.head.appendChild(style);
-		this._hiStyle = style;
+	_specificity(selector) {
+		/** @type {[number, number, number]} */
+		const spec = [0, 0, 0];
+		let s = selector;
+		// functional pseudo-classes with selector arguments
+		s = s.replace(/:(is|not|has|matches|where|nth-child|nth-last-child)\(((?:[^()]|\([^()]*\))*)\)/gi, (m, fn, args) => {
+			const name = String(fn).toLowerCase();
+			if (name === "where") return "";
+			if (name === "nth-child" || name === "nth-last-child") {
+				spec[1]++;
+				const of = String(args).split(/\s+of\s+/i)[1];
+				if (!of) return "";
+				args = of;
+			}
+			let best = [0, 0, 0];
+			for (const part of this._splitSelectorList(String(args))) {
+				const sp = this._specificity(part);
+				if (compareSpecificity(sp, best) > 0) best = sp;
+			}
+			spec[0] += best[0]; spec[1] += best[1]; spec[2] += best[2];
+			return "";
+		});
+		s = s.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, "");
+		spec[0] += (s.match(/#[\w-]+/g) || []).length;
+		spec[1] += (s.match(/\.[\w-]+|\[[^\]]*\]|(?<!:):(?!:)[\w-]+(\([^)]*\))?/g) || []).length;
+		spec[2] += (s.match(/(^|[\s>+~(])[a-zA-Z][\w-]*|::[\w-]+/g) || []).length;
+		return spec;
 	}
 
 	/**
-	 * Create (or return) the singleton highlighter div.
-	 * The highlighter is positioned using getBoundingClientRect() and uses
-	 * transitions for motion with ease-in-out.
+	 * Specificity of the most specific selector in a list that matches el.
 	 * @private
+	 * @param {Element} el
+	 * @param {string} selectorText
+	 * @returns {[number, number, number] | null} Null when no selector in the list matches.
 	 */
-	_ensureHighlighter() {
-		if (this._hiDiv && document.body.contains(this._hiDiv)) return this._hiDiv;
-		this._ensureHighlighterStyle();
-		const d = document.createElement("div");
-		d.id = "esc-hi";
-		d.setAttribute("aria-hidden", "true");
-		d.style.position = "fixed";
-		d.style.pointerEvents = "none";
-		d.style.zIndex = "999999";
-		d.style.border = "2px dotted";
-		d.style.borderColor = "hsl(" + ("var(--escHue)") + ", 85%, 55%)";
-		d.style.background = "rgba(0,0,0,0.18)";
-		d.style.borderRadius = "4px";
-		d.style.transition = "top 140ms ease-in-out, left 140ms ease-in-out, width 140ms ease-in-out, height 140ms ease-in-out, background-color 140ms ease-in-out, border-color 140ms ease-in-out";
-		d.style.animation = "escHueAnim 8s linear infinite";
-		d.style.boxSizing = "border-box";
-		d.style.display = "none";
-		document.body.appendChild(d);
-		this._hiDiv = d;
-		return d;
+	_matchedSpecificity(el, selectorText) {
+		/** @type {[number, number, number] | null} */
+		let best = null;
+		for (const part of this._splitSelectorList(selectorText)) {
+			if (!this._safeMatches(el, part)) continue;
+			const sp = this._specificity(part);
+			if (!best || compareSpecificity(sp, best) > 0) best = sp;
+		}
+		return best;
 	}
 
 	/**
-	 * Position and show the highlighter over a given element.
+	 * The CSS files Obsidian loads on top of app.css: the active theme, enabled snippets and
+	 * enabled plugins' styles.css, with vault-relative paths. Files may not exist. The id is the
+	 * theme's, snippet's or plugin's name or id.
+	 * ### Callers
+	 * - {@link _loadCssSources}
+	 * - {@link _auditSelectors}
+	 * - {@link _refreshOwnerIndex}
 	 * @private
-	 * @param {Element} el
+	 * @returns {{kind: "theme" | "snippet" | "plugin", id: string, label: string, path: string}[]}
 	 */
-	_placeHighlighter(el) {
-		const d = this._ensureHighlighter();
+	_cssSourceFiles() {
+		/** @type {{kind: "theme" | "snippet" | "plugin", id: string, label: string, path: string}[]} */
+		const files = [];
+		// @ts-ignore (internal API)
+		const { customCss, plugins } = this.app;
+		const configDir = this.app.vault.configDir;
 		try {
-			const r = el.getBoundingClientRect();
-			d.style.display = "block";
-			d.style.top = Math.max(0, r.top - 2) + "px";
-			d.style.left = Math.max(0, r.left - 2) + "px";
-			d.style.width = Math.max(0, r.width + 4) + "px";
-			d.style.height = Math.max(0, r.height + 4) + "px";
-			this._hiTarget = el;
+			if (customCss && customCss.theme) files.push({ kind: "theme", id: customCss.theme, label: "theme: " + customCss.theme, path: configDir + "/themes/" + customCss.theme + "/theme.css" });
+			for (const name of (customCss && customCss.enabledSnippets) || []) files.push({ kind: "snippet", id: name, label: "snippet: " + name + ".css", path: configDir + "/snippets/" + name + ".css" });
+			for (const id of (plugins && plugins.enabledPlugins) || []) {
+				const m = plugins.manifests && plugins.manifests[id];
+				if (m && m.dir) files.push({ kind: "plugin", id, label: "plugin: " + id, path: m.dir + "/styles.css" });
+			}
 		} catch (e) { if (this._debug) console.error(e); }
+		return files;
 	}
 
 	/**
-	 * Remove and dispose of the highlighter and style.
-	 * Used when the menu closes.
+	 * Map <style>/<link> nodes to where their CSS came from: app.css, the active theme,
+	 * an enabled snippet or a community plugin's styles.css. Matching is by the full file
+	 * content, read through the vault adapter, so files that share a header are not confused.
+	 * Popout windows have their own copies of the style nodes, so the map is built for one
+	 * document.
 	 * @private
+	 * @param {Document} [doc=document]
+	 * @returns {Promise<Map<Node, string>>}
 	 */
-	_disposeHighlighter() {
-		if (this._hiDiv) {
-			try { this._hiDiv.remove(); } catch (e) { if (this._debug) console.error(e); }
-			this._hiDiv = null;
+	async _loadCssSources(doc = document) {
+		/** @type {Map<Node, string>} */
+		const out = new Map();
+		/** @type {Map<string, string>} file content to label; the first file wins for identical ones */
+		const byText = new Map();
+		for (const f of this._cssSourceFiles()) {
+			try {
+				if (!(await this.app.vault.adapter.exists(f.path))) continue;
+				const text = (await this.app.vault.adapter.read(f.path)).trim();
+				if (text && !byText.has(text)) byText.set(text, f.label);
+			} catch (e) { if (this._debug) console.error(e); }
 		}
-		if (this._hiStyle) {
-			try { this._hiStyle.remove(); } catch (e) { if (this._debug) console.error(e); }
-			this._hiStyle = null;
+		for (const sheet of Array.from(doc.styleSheets)) {
+			const node = sheet.ownerNode;
+			if (!node) continue;
+			const label = byText.get((node.textContent || "").trim());
+			if (label) out.set(node, label);
 		}
-		this._hiTarget = null;
+		return out;
 	}
 
 	/**
-	 * Toggle the overlay highlighter and optional contrast bump on a target element.
+	 * Short human label for a stylesheet, using the sources map from {@link _loadCssSources}.
+	 * @private
+	 * @param {CSSStyleSheet} sheet
+	 * @param {Map<Node, string>} sources
+	 * @returns {string}
+	 */
+	_sheetLabel(sheet, sources) {
+		const node = sheet.ownerNode;
+		/** @type {CSSStyleSheet | null} */
+		let top = sheet;
+		while (top && top.parentStyleSheet) top = top.parentStyleSheet;
+		const owner = top && top.ownerNode;
+		const known = (node && sources.get(node)) || (owner && sources.get(owner));
+		if (known) return known;
+		if (sheet.href) return sheet.href.split(/[?#]/)[0].split("/").pop() || sheet.href;
+		if (owner instanceof HTMLElement && owner.id) return "<style#" + owner.id + ">";
+		return "<style>";
+	}
+
+	/**
+	 * Find the custom properties referenced by the rules matching el (and, transitively, by
+	 * the variables those reference), resolve each at el and locate its winning definition.
+	 * ### Callers
+	 * - {@link _showVariables}
 	 * @private
 	 * @param {HTMLElement} el
-	 * @param {boolean} on
+	 * @returns {Promise<VariableInfo[]>}
 	 */
-	_highlight(el, on) {
-		// Overlay-based highlighter: reuse a singleton DIV instead of mutating target styles.
-		if (!el || el.nodeType !== 1) return;
-		if (on) {
-			this._placeHighlighter(el);
-			// boost contrast on the element (store previous filter)
-			if (!Object.prototype.hasOwnProperty.call(el, "__esc_prevFilter")) {
-				// @ts-ignore
-				el.__esc_prevFilter = el.style.filter || "";
+	async _variablesFor(el) {
+		const doc = el.ownerDocument;
+		const view = doc.defaultView;
+		const sources = await this._loadCssSources(doc);
+		/** @type {(text: string) => string[]} */
+		const refsIn = (text) => Array.from(text.matchAll(/var\(\s*(--[\w-]+)/g), (m) => m[1]);
+
+		/** @type {Set<string>} */
+		const wanted = new Set(refsIn(el.style.cssText));
+		/** @type {Map<string, StyleRuleEntry[]>} */
+		const definitions = new Map();
+		this._eachStyleRule(doc, (entry) => {
+			if (!entry.active) return;
+			const style = entry.rule.style;
+			for (let i = 0; i < style.length; i++) {
+				const prop = style[i];
+				if (!prop.startsWith("--")) continue;
+				const list = definitions.get(prop);
+				if (list) list.push(entry); else definitions.set(prop, [entry]);
 			}
-			try {
-				const cur = el.style.filter || "";
-				if (!/contrast\(/.test(cur)) {
-					el.style.filter = (cur ? cur + " " : "") + "contrast(1.25)";
+			if (entry.rule.style.cssText.includes("var(") && this._safeMatches(el, entry.rule.selectorText)) {
+				for (const name of refsIn(entry.rule.style.cssText)) wanted.add(name);
+			}
+		});
+
+		const ancestry = this._buildAncestry(el, doc.documentElement).reverse(); // el first
+		/** @type {VariableInfo[]} */
+		const out = [];
+		const queue = Array.from(wanted);
+		const seen = new Set(queue);
+		while (queue.length) {
+			const name = /** @type {string} */ (queue.shift());
+			const value = view ? view.getComputedStyle(el).getPropertyValue(name).trim() : "";
+			/** @type {{depth: number, important: boolean, spec: [number, number, number], order: number, selector: string, source: string, raw: string} | null} */
+			let winner = null;
+			for (let depth = 0; depth < ancestry.length; depth++) {
+				const node = ancestry[depth];
+				const inline = node.style.getPropertyValue(name);
+				if (inline) {
+					winner = { depth, important: true, spec: [1, 0, 0], order: Infinity, selector: this._labelFor(node, 2, true), source: "inline style", raw: inline };
+					break;
 				}
-			} catch (e) { if (this._debug) console.error(e); }
-		} else {
-			// Only hide overlay if turning off the element we currently cover
-			if (this._hiTarget === el) {
-				if (this._hiDiv) this._hiDiv.style.display = "none";
-				this._hiTarget = null;
+				for (const entry of definitions.get(name) || []) {
+					const spec = this._matchedSpecificity(node, entry.rule.selectorText);
+					if (!spec) continue;
+					const important = entry.rule.style.getPropertyPriority(name) === "important";
+					let better = !winner;
+					if (winner && important !== winner.important) better = important;
+					else if (winner) better = (compareSpecificity(spec, winner.spec) || entry.order - winner.order) > 0;
+					if (better) {
+						winner = {
+							depth, important, spec, order: entry.order,
+							selector: entry.rule.selectorText,
+							source: this._sheetLabel(entry.sheet, sources),
+							raw: entry.rule.style.getPropertyValue(name)
+						};
+					}
+				}
+				if (winner) break; // the closest element that defines it wins
 			}
-			// restore contrast
-			if (Object.prototype.hasOwnProperty.call(el, "__esc_prevFilter")) {
-				// @ts-ignore
-				el.style.filter = el.__esc_prevFilter;
-				// @ts-ignore
-				delete el.__esc_prevFilter;
+			out.push({
+				name,
+				value,
+				selector: winner ? winner.selector : "",
+				source: winner ? winner.source : "not defined"
+			});
+			for (const ref of winner ? refsIn(winner.raw) : []) {
+				if (!seen.has(ref)) { seen.add(ref); queue.push(ref); }
 			}
 		}
-
+		return out;
 	}
-	// #endregion __Plugin_highlight
 
-	// #region __Plugin_core
 	/**
-	 * Build a selector for a node using id, classes, tag, and optional :nth-child.
+	 * Collect the variables affecting el and show them in a modal with a copy button.
 	 * ### Callers
-	 * - {@link _css}
-	 * - {@link _buildPathsBetween}
+	 * - {@link _openMenuForCss}
+	 * - {@link _openMenuForPath}
 	 * @private
-	 * @param {HTMLElement} node
-	 * @param {{useIds?: boolean, useClasses?: boolean, includeTagIfNoClasses?: boolean, includeNthChild?: boolean}} opts
-	 * @returns {string}
+	 * @param {HTMLElement} el
 	 */
-	_selectorFor(node, opts) {
-		if (opts.useIds && node.id) return "#" + this._cssEscape(node.id);
-
-		if (opts.useClasses && node.classList && node.classList.length) {
-			const classes = Array.from(node.classList).filter(Boolean).map((c) => this._cssEscape(c));
-			if (classes.length) return "." + classes.join(".");
+	async _showVariables(el) {
+		let vars;
+		try {
+			vars = await this._variablesFor(el);
+		} catch (e) {
+			console.error("[element-snatch-css] variables failed", e);
+			this._withNotice("Could not read stylesheets", 10000);
+			return;
+		}
+		if (!vars.length) {
+			this._withNotice("No custom properties referenced by the rules matching " + this._labelFor(el, 2, true), 5000);
+			return;
 		}
+		new VariablesModal(this.app, "Variables for " + this._labelFor(el, 3, true), vars, (t) => this._copyText(t)).open();
+	}
 
-		let sel = opts.includeTagIfNoClasses ? node.tagName.toLowerCase() : "*";
+	/**
+	 * Collect the active rules matching el, highest cascade precedence first. Inline style
+	 * comes first, then unlayered rules before layered ones, then specificity, then source order.
+	 * Importance is per declaration and is not considered.
+	 * ### Callers
+	 * - {@link _showMatchedRules}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @returns {Promise<MatchedRule[]>}
+	 */
+	async _matchedRulesFor(el) {
+		const sources = await this._loadCssSources(el.ownerDocument);
+		/** @type {MatchedRule[]} */
+		const out = [];
+		this._eachStyleRule(el.ownerDocument, (entry) => {
+			if (!entry.active) return;
+			const spec = this._matchedSpecificity(el, entry.rule.selectorText);
+			if (!spec) return;
+			const selector = this._splitSelectorList(entry.rule.selectorText)
+				.filter((part) => this._safeMatches(el, part))
+				.sort((a, b) => compareSpecificity(this._specificity(b), this._specificity(a)))[0];
+			out.push({
+				selector,
+				spec,
+				source: this._sheetLabel(entry.sheet, sources),
+				conditions: entry.conditions,
+				layered: entry.conditions.some((c) => c.startsWith("@layer")),
+				order: entry.order,
+				cssText: entry.rule.cssText,
+				declarations: entry.rule.style.cssText.replace(/;\s*/g, ";\n").trim()
+			});
+		});
+		out.sort((a, b) => (Number(a.layered) - Number(b.layered)) || compareSpecificity(b.spec, a.spec) || (b.order - a.order));
+		if (el.style.length) {
+			out.unshift({
+				selector: "element.style",
+				spec: [1, 0, 0],
+				source: "inline style",
+				conditions: [],
+				layered: false,
+				order: Infinity,
+				cssText: "element.style { " + el.style.cssText + " }",
+				declarations: el.style.cssText.replace(/;\s*/g, ";\n").trim()
+			});
+		}
+		return out;
+	}
 
-		if (opts.includeNthChild) {
-			const parent = node.parentElement;
-			if (parent) {
-				let i = 1,  /** @type {Element | null} */ sib = node;
-				while ((sib = sib?.previousElementSibling)) i++;
-				sel += ":nth-child(" + i + ")";
-			}
+	/**
+	 * Generate a rule whose selector beats the winning rule's matched selector for el.
+	 * Candidates, in order: the selector under body, under html, with its last class repeated,
+	 * then padded with :not(#id) until it out-ranks the winner. The first candidate that still
+	 * matches el (body often carries .theme-dark, .is-mobile...) and has higher specificity wins.
+	 * ### Callers
+	 * - {@link _showMatchedRules}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @param {MatchedRule | undefined} winner Highest-precedence stylesheet rule, if any.
+	 * @returns {string}
+	 */
+	_overrideRuleFor(el, winner) {
+		const base = winner ? winner.selector : this._uniqueSelectorFor(el);
+		const names = (base.match(/(^|[\s>+~(])(html|body)\b/gi) || []).map((m) => m.trim().replace(/^[>+~(]/, "").toLowerCase());
+		/** @type {string[]} */
+		const candidates = [];
+		if (!names.includes("body")) candidates.push("body " + base);
+		if (!names.includes("html")) candidates.push("html " + base);
+		if (/\.[\w-]+/.test(base)) candidates.push(base.replace(/(\.[\w-]+)(?!.*\.[\w-])/, "$1$1"));
+		// an id no element has always matches under :not() and adds (1,0,0) per repeat
+		for (let pad = ":not(#esc-override)"; candidates.length < 12; pad += ":not(#esc-override)") candidates.push(base + pad);
+		/** @type {[number, number, number]} */
+		const toBeat = winner ? winner.spec : [0, 0, 0];
+		const selector = candidates.find((c) => this._safeMatches(el, c) && (!winner || compareSpecificity(this._specificity(c), toBeat) > 0))
+			|| candidates[candidates.length - 1];
+		const lines = [selector + " {"];
+		if (winner) {
+			lines.push("\t/* beats " + winner.selector + " (" + winner.spec.join(",") + ") — " + winner.source + " */");
+			for (const d of winner.declarations.split("\n").filter(Boolean)) lines.push("\t" + d);
 		}
-		return sel;
+		lines.push("}");
+		return lines.join("\n") + "\n";
 	}
 
 	/**
-	 * Build descendant and child selector strings between ancestorEl and targetEl.
+	 * Show the matched-rules inspector for el.
 	 * ### Callers
+	 * - {@link _openMenuForCss}
 	 * - {@link _openMenuForPath}
 	 * @private
-	 * @param {HTMLElement} ancestorEl
-	 * @param {HTMLElement} targetEl
-	 * @param {{includeNthChild?: boolean}} [options]
-	 * @returns {{descendant: string, child: string}}
+	 * @param {HTMLElement} el
 	 */
-	_buildPathsBetween(ancestorEl, targetEl, options) {
-		if (this._debug) console.log("[element-snatch-css] _buildPathsBetween2", ancestorEl, targetEl, options);
-		const opts = Object.assign({ includeNthChild: false }, options || {});
-		if (!ancestorEl || !targetEl) return { descendant: "", child: "" };
-		// Walk up from target to ancestor
-		const chain = [];
-		let cur = targetEl;
-		let guard = 0;
-		while (cur && cur.nodeType === 1 && guard++ < 5000) {
-			chain.push(cur);
-			if (cur === ancestorEl || !cur.parentElement) break;
-			cur = cur.parentElement;
+	async _showMatchedRules(el) {
+		let rules;
+		try {
+			rules = await this._matchedRulesFor(el);
+		} catch (e) {
+			console.error("[element-snatch-css] matched rules failed", e);
+			this._withNotice("Could not read stylesheets", 10000);
+			return;
 		}
-		if (chain[chain.length - 1] !== ancestorEl) {
-			// ancestorEl is not actually an ancestor; rebuild using ancestry from <body>
-			const bodyChain = this._buildAncestry(targetEl, document.body); // body -> ... -> target
-			const idx = bodyChain.indexOf(ancestorEl);
-			if (idx >= 0) {
-				// use slice from ancestor to target; keep local order consistent before final reverse
-				const slice = bodyChain.slice(idx); // ancestor -> ... -> target
-				chain.length = 0;
-				for (let i = slice.length - 1; i >= 0; i--) chain.push(slice[i]); // target -> ... -> ancestor
-			} else {
-				// fallback to just target
-				chain.length = 0;
-				chain.push(targetEl);
-			}
+		if (!rules.length) {
+			this._withNotice("No rules match " + this._labelFor(el, 2, true), 5000);
+			return;
 		}
-		chain.reverse(); // ancestor -> ... -> target
-		const sels = chain.map((n) => this._selectorFor(n, {
-			useIds: true,
-			useClasses: true,
-			includeTagIfNoClasses: true,
-			includeNthChild: !!opts.includeNthChild
-		}));
-		return {
-			descendant: sels.join(" "),
-			child: sels.join(" > ")
-		};
+		const winner = rules.find((r) => r.selector !== "element.style");
+		let override = this._overrideRuleFor(el, winner);
+		if (rules[0].selector === "element.style") {
+			override = override.replace(" {\n", " {\n\t/* inline style on the element still wins; add !important where needed */\n");
+		}
+		new MatchedRulesModal(this.app, "Rules matching " + this._labelFor(el, 3, true), rules, override, (t) => this._copyText(t)).open();
 	}
 
 	/**
-	 * Build ancestors from stopAt (inclusive) down to node (inclusive).
+	 * Collect the active rules whose selectors use :hover, :focus(-visible/-within) or :active.
+	 * Each selector of a list becomes one entry; its test selector replaces the state
+	 * pseudo-classes with :is(*) so el.matches() tells whether it applies in that state.
 	 * ### Callers
-	 * - {@link _buildPathsBetween}
-	 * - {@link _openMenuForPath}
-	 * - {@link _openMenuForCss}
+	 * - {@link _css}
 	 * @private
-	 * @param {HTMLElement} node
-	 * @param {HTMLElement} [stopAt=document.body]
-	 * @returns {HTMLElement[]}
+	 * @param {Document} doc
+	 * @returns {Promise<InteractionRule[]>}
 	 */
-	_buildAncestry(node, stopAt = document.body) {
-		const chain = [];
-		let cur = node;
-		let guard = 0;
-		while (cur && cur.nodeType === 1 && guard++ < 2000) {
-			chain.push(cur);
-			if (cur === stopAt || !cur.parentElement) break;
-			cur = cur.parentElement;
-		}
-		chain.reverse(); // body first
-		return chain;
+	async _interactionRules(doc) {
+		const sources = await this._loadCssSources(doc);
+		/** @type {InteractionRule[]} */
+		const out = [];
+		this._eachStyleRule(doc, (entry) => {
+			if (!entry.active || !/:(hover|focus|active)/.test(entry.rule.selectorText)) return;
+			for (const selector of this._splitSelectorList(entry.rule.selectorText)) {
+				const states = Array.from(new Set(selector.match(INTERACTION_STATES) || []));
+				if (!states.length) continue;
+				out.push({ states, selector, test: selector.replace(INTERACTION_STATES, ":is(*)"), source: this._sheetLabel(entry.sheet, sources) });
+			}
+		});
+		return out;
+	}
+	// #endregion __Plugin_stylesheets
+
+	// #region __Plugin_history
+	/**
+	 * Announce a capture with the "element-snatch:captured" workspace event and add it to the
+	 * history (unless history is off), trim it and save.
+	 * ### Callers
+	 * - {@link _captureCss}
+	 * - {@link _capturePath}
+	 * - {@link _openCssPreview}
+	 * @private
+	 * @param {"css" | "path"} mode
+	 * @param {HTMLElement} el The CSS root, or the clicked element for Path captures.
+	 * @param {string} text Generated output.
+	 * @param {HTMLElement} [rootEl] The chosen ancestor of a Path capture.
+	 * @param {OutputFormat} [format] Format of a CSS capture.
+	 * @param {RedactFields | null} [redact] Fields the output was redacted with; the entry's
+	 * selectors and label are redacted with them too.
+	 */
+	_recordCapture(mode, el, text, rootEl, format, redact = null) {
+		if (!text) return;
+		/** @type {CaptureEvent} */
+		const event = { mode, element: el, output: text };
+		if (rootEl) event.root = rootEl;
+		if (format) event.format = format;
+		try { this.app.workspace.trigger(EVENT_CAPTURED, event); } catch (e) { if (this._debug) console.error(e); }
+		if (this.settings.historyLimit <= 0) return;
+		/** @type {(selector: string) => string} */
+		const hide = (selector) => redact ? redactSelectors(selector, redact, (v) => this._isVaultPath(v)) : selector;
+		const selector = this._uniqueSelectorFor(el);
+		const rootSelector = rootEl ? this._uniqueSelectorFor(rootEl) : "";
+		/** @type {HistoryEntry} */
+		const entry = {
+			id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+			time: Date.now(),
+			mode,
+			selector: hide(selector),
+			label: this._labelFor(el, 3, true, redact),
+			text,
+			pinned: false
+		};
+		if (rootSelector) entry.rootSelector = hide(rootSelector);
+		if (format) entry.format = format;
+		if (entry.selector !== selector || (rootSelector && entry.rootSelector !== rootSelector)) entry.redacted = true;
+		this.history.push(entry);
+		this.trimHistory();
+		this._saveHistory();
+	}
+
+	/**
+	 * Drop the oldest unpinned entries beyond the history size.
+	 */
+	trimHistory() {
+		const limit = Math.max(0, this.settings.historyLimit | 0);
+		const unpinned = this.history.filter((e) => !e.pinned).sort((a, b) => b.time - a.time);
+		const drop = new Set(unpinned.slice(limit));
+		if (drop.size) this.history = this.history.filter((e) => !drop.has(e));
+	}
+
+	/**
+	 * Path of {@link HISTORY_FILE} in the plugin folder.
+	 * @private
+	 * @returns {string}
+	 */
+	_historyPath() {
+		const dir = this.manifest.dir || this.app.vault.configDir + "/plugins/" + this.manifest.id;
+		return normalizePath(dir + "/" + HISTORY_FILE);
 	}
 
 	/**
-	 * Build a compact human-readable label for a node (e.g., tag#id.cls1.cls2 [+N]).
+	 * Read the history file of an earlier version.
 	 * ### Callers
-	 * - {@link _openMenuForPath}
-	 * - {@link _openMenuForCss}
+	 * - {@link loadSettings}
 	 * @private
-	 * @param {Element} node
-	 * @param {number} [maxClasses=3]
-	 * @param {boolean} [includeTag=true]
-	 * @returns {string}
+	 * @returns {Promise<HistoryEntry[] | null>} Null when there is no readable history file.
 	 */
-	_labelFor(node, maxClasses = 3, includeTag = true) {
-		const tag = includeTag ? node.tagName.toLowerCase() : "";
-		const id = node.id ? "#" + node.id : "";
-		const classes = node.classList ? Array.from(node.classList).filter(Boolean) : [];
-		const shown = classes.slice(0, maxClasses);
-		const extra = classes.length - shown.length;
-		const cls = shown.length ? "." + shown.join(".") : "";
-		const more = extra > 0 ? " [+" + extra + "]" : "";
-		const base = (tag + id + cls) || node.tagName.toLowerCase();
-		return base + more;
+	async _loadHistoryFile() {
+		try {
+			const path = this._historyPath();
+			if (!(await this.app.vault.adapter.exists(path))) return null;
+			const history = JSON.parse(await this.app.vault.adapter.read(path));
+			return Array.isArray(history) ? history : null;
+		} catch (e) {
+			if (this._debug) console.error(e);
+			return null;
+		}
 	}
 
 	/**
-	 * Build a nested CSS tree starting at root and including all descendants.
-	 * For each level, emits selector metadata and sampled text content.
-	 * Copies the result to clipboard, shows a Notice, and returns the text.
+	 * Delete the history file of an earlier version once its entries are in plugin data.
 	 * ### Callers
-	 * - {@link _openMenuForCss}
+	 * - {@link loadSettings}
 	 * @private
-	 * @param {HTMLElement} root Root element to start from (inclusive).
-	 * @param {{
-	 *   useIds?: boolean,
-	 *   useClasses?: boolean,
-	 *   includeTagIfNoClasses?: boolean,
-	 *   includeNthChild?: boolean,
-	 *   indent?: string,
-	 *   maxDepth?: number,
-	 *   maxNodes?: number,
-	 *   skipTags?: Set<string>
-	 * }} [options]
-	 * @returns {Promise<string>} The generated nested CSS text.
 	 */
-	async _css(root, options) {
-		const opts = Object.assign({
-			useIds: true,
-			useClasses: true,
-			includeTagIfNoClasses: true,
-			includeNthChild: false,
-			indent: "  ",
-			maxDepth: Infinity,
-			maxNodes: 5000,
-			skipTags: new Set(["SCRIPT", "STYLE", "TEMPLATE"])
-		}, options || {});
-
-		if (!root || root.nodeType !== 1) {
-			console.warn("[element-snatch-css] _css called without a valid element");
-			return "";
+	async _removeHistoryFile() {
+		try {
+			await this.app.vault.adapter.remove(this._historyPath());
+		} catch (e) {
+			if (this._debug) console.error(e);
 		}
+	}
 
-		let nodeCount = 0;
-		let truncated = false;
-
-		/** @type {(n: HTMLElement) => string} */
-		const selectorFor = (n) => this._selectorFor(n, opts);
-
-		/**
-		 * Collect direct text nodes, normalize+trim, cut to <= 50 chars, and escape quotes/backslashes.
-		 * Returns an array of strings (possibly empty).
-		 * @type {(node: HTMLElement) => string[]}
-		 */
-		const textContentsFor = (node) => {
-			const out = [];
-			// [ts] Type 'NodeListOf<ChildNode>' must have a '[Symbol.iterator]()' method that returns an iterator.
-			for (const ch of node.childNodes) {
-				if (ch.nodeType === Node.TEXT_NODE) {
-					let s = ch.nodeValue || "";
-					s = s.replace(/\s+/g, " ").trim();
-					if (!s) continue;
-					if (s.length > 50) s = s.slice(0, 47) + "...";
-					s = s.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
-					out.push(s);
-				}
-			}
-			return out;
-		};
-		/**
-		 * Return the first non-empty trimmed/escaped text node content (<=50 chars) for a node.
-		 * @type {(node: HTMLElement) => string}
-		 */
-		const primaryTextFor = (node) => {
-			for (const ch of node.childNodes) {
-				if (ch.nodeType === Node.TEXT_NODE) {
-					let s = ch.nodeValue || "";
-					s = s.replace(/\s+/g, " ").trim();
-					if (!s) continue;
-					if (s.length > 50) s = s.slice(0, 47) + "...";
-					s = s.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
-					return s;
-				}
-			}
-			return "";
-		};
-
-		/**
-		 * Render a node and descendants to a *canonical* string used for dedupe (structure-only).
-		 * Excludes text-node content lines on purpose.
-		 * @type {(node: HTMLElement, depth:number, pathSelector: string[]) => string}
-		 */
-		const renderCanonical = (node, depth, pathSelectors) => {
-			if (!node) return "";
-			if (depth > opts.maxDepth) return "";
-			if (++nodeCount > opts.maxNodes) { truncated = true; return ""; }
-
-			const curSel = pathSelectors[pathSelectors.length - 1];
-			let block = "";
-			block += opts.indent.repeat(depth) + curSel + "{\n";
-
-			// First two content lines only
-			const descPath = pathSelectors.join(" ");
-			const childPath = pathSelectors.join(" > ");
-			block += opts.indent.repeat(depth + 1) + 'content: "' + descPath + '";\n';
-			block += opts.indent.repeat(depth + 1) + 'content: "' + childPath + '";\n';
-
-			// Children (canonical)
-			/** @type {string[]} */
-			const childTexts = [];
-
-			/** @type {HTMLElement | null} */
-			let child = /** @type {HTMLElement | null} */ (node.firstElementChild);
-
-			for (; child; child = /** @type {HTMLElement | null} */ (child.nextElementSibling)) {
-				if (opts.skipTags && opts.skipTags.has(child.tagName)) continue;
-				const childSel = selectorFor(child); // child is HTMLElement in this block
-				const c = renderCanonical(child, depth + 1, pathSelectors.concat(childSel));
-				if (truncated) break;
-				if (c) childTexts.push(c);
-			}
-
-			// Append children in order
-			for (const t of childTexts) block += t;
+	/**
+	 * Save and re-render open history views. Never rejects: a failed write is logged, so
+	 * callers need not await it.
+	 * @returns {Promise<void>}
+	 */
+	async _saveHistory() {
+		for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_HISTORY)) {
+			if (leaf.view instanceof SnatchHistoryView) leaf.view.render();
+		}
+		try {
+			await this.saveSettings();
+		} catch (e) {
+			console.error("[element-snatch-css] history save failed", e);
+		}
+	}
 
-			block += opts.indent.repeat(depth) + "}\n";
-			return block;
-		};
+	/**
+	 * @param {string} id
+	 * @param {Partial<HistoryEntry>} patch
+	 */
+	updateHistory(id, patch) {
+		const entry = this.history.find((e) => e.id === id);
+		if (!entry) return;
+		Object.assign(entry, patch);
+		this.trimHistory();
+		this._saveHistory();
+	}
 
-		/**
-		  * Render a node and descendants to the *final* string (includes text-node content lines).
-		  * Uses dedupe across siblings based on canonical strings.
-		  * @type {(node: HTMLElement, depth: number, pathSelectors: string[], overrideTexts?: string[]) => string}
-		  */
-		const renderFinal = (node, depth, pathSelectors, overrideTexts) => {
-			if (depth > opts.maxDepth) return "";
-			// Note: do not increment nodeCount again here; renderCanonical already accounts during grouping
-			const curSel = pathSelectors[pathSelectors.length - 1];
-
-			let block = "";
-			block += opts.indent.repeat(depth) + curSel + " {\n";
-
-			// First two content lines
-			const descPath = pathSelectors.join(" ");
-			const childPath = pathSelectors.join(" > ");
-			block += opts.indent.repeat(depth + 1) + 'content: "' + descPath + '";\n';
-			block += opts.indent.repeat(depth + 1) + 'content: "' + childPath + '";\n';
-
-			// Text-node content lines
-			const texts = (overrideTexts && Array.isArray(overrideTexts) && overrideTexts.length)
-				? overrideTexts
-				: textContentsFor(node);
-			if (texts.length === 0) {
-				block += opts.indent.repeat(depth + 1) + 'content: "";\n';
-			} else {
-				for (const s of texts) {
-					block += opts.indent.repeat(depth + 1) + 'content: "' + s + '";\n';
-				}
-			}
+	/**
+	 * @param {string} id
+	 */
+	deleteHistory(id) {
+		this.history = this.history.filter((e) => e.id !== id);
+		this._saveHistory();
+	}
 
-			// Prepare children: compute canonical strings for grouping, and final strings for output
+	clearHistory() {
+		this.history = this.history.filter((e) => e.pinned);
+		this._saveHistory();
+	}
 
-			/** @type {{ child: HTMLElement, sel: string }[]} */
-			const items = [];
-			/** @type {string[]} */
-			const canon = [];
+	/**
+	 * Find a capture's element again, or show a Notice when its selector no longer matches.
+	 * @private
+	 * @param {string} selector
+	 * @returns {HTMLElement | null}
+	 */
+	_findCaptured(selector) {
+		/** @type {HTMLElement[]} */
+		let els = [];
+		try { els = this._matchesInWindows(selector); } catch { }
+		if (els.length) return els[0];
+		this._withNotice("No element matches " + selector, 5000);
+		return null;
+	}
 
-			/** @type {HTMLElement | null} */
-			let child = /** @type {HTMLElement | null} */ (node.firstElementChild);
+	/**
+	 * Elements matching a selector in the first window that has any: the main window first,
+	 * then popouts. Throws when the selector is invalid.
+	 * ### Callers
+	 * - {@link _findCaptured}
+	 * - {@link _onLink}
+	 * @private
+	 * @param {string} selector May contain boundary markers, see {@link _queryAcross}.
+	 * @returns {HTMLElement[]}
+	 */
+	_matchesInWindows(selector) {
+		const docs = new Set([document]);
+		for (const { win } of this._watchedDocs.values()) docs.add(win.document);
+		for (const doc of docs) {
+			const els = this._queryAcross(selector, doc);
+			// not instanceof: elements inside frames belong to another window's HTMLElement
+			if (els.length) return els.map((el) => /** @type {HTMLElement} */ (el));
+		}
+		return [];
+	}
 
-			for (; child; child = /** @type {HTMLElement | null} */ (child.nextElementSibling)) {
-				if (opts.skipTags && opts.skipTags.has(child.tagName)) continue;
+	/**
+	 * Highlight elements for a while: the first with the highlighter, all of them with outlines
+	 * when there are several. A later highlight cancels the timer.
+	 * ### Callers
+	 * - {@link highlightCapture}
+	 * - {@link _createApi}
+	 * - {@link _onLink}
+	 * @private
+	 * @param {HTMLElement[]} els
+	 * @param {number} duration Milliseconds; 0 keeps the highlight until something else clears it.
+	 */
+	_flashElements(els, duration) {
+		if (this._hiTimer) clearTimeout(this._hiTimer);
+		this._hiTimer = null;
+		if (!els.length) return this._disposeHighlighter();
+		const el = els[0];
+		this._placeOutlines(els.length > 1 ? els : []);
+		this._placeHighlighter(el);
+		if (duration > 0) {
+			this._hiTimer = setTimeout(() => {
+				this._hiTimer = null;
+				if (this._hiTarget === el) this._disposeHighlighter();
+			}, duration);
+		}
+	}
 
-				/** @type {HTMLElement} */
-				const h = child; // narrowed for use below
+	/**
+	 * Copy a capture's saved output again.
+	 * @param {HistoryEntry} entry
+	 */
+	async copyCapture(entry) {
+		const what = entry.mode === "path" ? "Path" : FORMATTERS[entry.format || "nested"].name;
+		await this._output(entry.text, what, "clipboard");
+	}
 
-				const childSel = selectorFor(h);
-				const cStr = renderCanonical(h, depth + 1, pathSelectors.concat(childSel));
-				if (truncated) break;
-				if (!cStr) continue;
+	/**
+	 * Scroll a capture's element into view and highlight it for a few seconds.
+	 * @param {HistoryEntry} entry
+	 */
+	highlightCapture(entry) {
+		if (entry.redacted) {
+			this._withNotice("This capture was redacted; its selector no longer finds the element.", 5000);
+			return;
+		}
+		const el = this._findCaptured(entry.selector);
+		if (!el) return;
+		try { el.scrollIntoView({ block: "nearest", inline: "nearest" }); } catch (e) { if (this._debug) console.error(e); }
+		this._flashElements([el], 3000);
+	}
 
-				canon.push(cStr);
-				items.push({ child: h, sel: childSel });
-			}
+	/**
+	 * Regenerate a capture against the current DOM with the current settings, copy it
+	 * and update the entry.
+	 * @param {HistoryEntry} entry
+	 */
+	async regenerateCapture(entry) {
+		if (entry.redacted) {
+			this._withNotice("This capture was redacted; its selector no longer finds the element.", 5000);
+			return;
+		}
+		const el = this._findCaptured(entry.selector);
+		if (!el) return;
+		let text;
+		if (entry.mode === "css") {
+			const format = entry.format || "nested";
+			const render = await this._css(el, Object.assign(this._cssOptions(), { target: /** @type {OutputTarget} */ ("clipboard"), format }));
+			text = render ? render.text : "";
+		} else {
+			const root = entry.rootSelector ? this._findCaptured(entry.rootSelector) : this._hostWindow(el.ownerDocument).document.body;
+			if (!root) return;
+			text = this._pathText(root, el);
+			if (!(await this._output(text, "Path", "clipboard"))) return;
+		}
+		if (!text) return; // cancelled or not copied
+		this.updateHistory(entry.id, { text, time: Date.now(), label: this._labelFor(el, 3, true) });
+	}
 
-			// Group by canonical string (stable order by first occurrence)
-			/** @type {Map<string, number>} */
-			const idxByCanon = new Map();
-			/** @type {{ key: string, indexList: number[] }[]} */
-			const groups = [];
+	/**
+	 * Reveal the history view in the right sidebar, creating it if needed.
+	 * @private
+	 */
+	async _openHistoryView() {
+		const workspace = this.app.workspace;
+		let leaf = workspace.getLeavesOfType(VIEW_TYPE_HISTORY)[0];
+		if (!leaf) {
+			const right = workspace.getRightLeaf(false);
+			if (!right) return;
+			await right.setViewState({ type: VIEW_TYPE_HISTORY, active: true });
+			leaf = right;
+		}
+		await workspace.revealLeaf(leaf);
+	}
+	// #endregion __Plugin_history
 
-			for (let i = 0; i < canon.length; i++) {
-				const key = canon[i];
-				const existing = idxByCanon.get(key); // number | undefined
+	// #region __Plugin_menus
+	/**
+	 * Show a menu at the mouse position in the window (main or popout) the click came from,
+	 * and run onClose once it disappears. Submenu actions collected by {@link _submenuFor} get
+	 * an "Actions…" entry at the end.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link _openMenuForPath}
+	 * @private
+	 * @param {import("obsidian").Menu} menu
+	 * @param {MouseEvent} mouseEvt Event with top-level window coordinates.
+	 * @param {Window} win
+	 * @param {() => void} onClose
+	 */
+	_showMenu(menu, mouseEvt, win, onClose) {
+		const doc = win.document;
+		const actions = this._menuActions && this._menuActions.get(menu);
+		if (actions) {
+			menu.addSeparator();
+			menu.addItem((more) => more.setTitle("Actions…").setIcon("more-horizontal")
+				.onClick(() => new MenuActionsModal(this.app, actions).open()));
+		}
+		menu.showAtPosition({ x: mouseEvt.clientX, y: mouseEvt.clientY }, doc);
 
-				if (existing === undefined) {
-					idxByCanon.set(key, groups.length);
-					groups.push({ key, indexList: [i] });
-				} else {
-					groups[existing].indexList.push(i);
+		// Cleanup highlights when the menu disappears
+		setTimeout(() => {
+			const menuEl = doc.querySelector(".menu");
+			if (!menuEl) return;
+			const obs = new MutationObserver(() => {
+				if (!doc.body.contains(menuEl)) {
+					try { obs.disconnect(); } catch (e) { if (this._debug) console.error(e); }
+					onClose();
 				}
-			}
-
-			// Emit one final block per group; annotate count if > 1
-			for (const g of groups) {
-				const repIndex = g.indexList[0];
-				const count = g.indexList.length;
-				const child = items[repIndex].child;
-				const childSel = items[repIndex].sel;
+			});
+			obs.observe(doc.body, { childList: true, subtree: true });
+		}, 0);
+	}
 
-				// Build override texts when collapsing duplicates: one text per occurrence
-				/** @type {string[] | undefined} */
-				let childOverrideTexts = undefined;
-				if (count > 1) {
-					childOverrideTexts = g.indexList.map((idx) => {
-						const nd = items[idx].child;
-						const t = primaryTextFor(nd);
-						return t || "";
-					});
-				}
+	/**
+	 * Menu label for an ancestor chain entry, prefixed with a boundary marker when the element
+	 * is the first one inside a shadow root or frame. Known Obsidian structures get their friendly
+	 * name and elements a plugin styles get the plugin's name.
+	 * @private
+	 * @param {HTMLElement} el
+	 * @param {Boundary} [boundary] Boundary above el, when the caller already knows it.
+	 * @returns {string}
+	 */
+	_chainLabelFor(el, boundary = this._parentAcross(el).boundary) {
+		const owner = this._ownerFor(el);
+		return (boundary ? BOUNDARY_MARKERS[boundary] + " " : "") + (this._friendlyLabelFor(el) || this._labelFor(el, 3, true))
+			+ (owner ? " 🧩 " + owner : "");
+	}
 
-				let childFinal = renderFinal(child, depth + 1, pathSelectors.concat(childSel), childOverrideTexts);
-				if (count > 1) {
-					childFinal = childFinal.replace(/\{/, "{ /** " + count + " times */");
-				}
-				block += childFinal;
-			}
-
-
-			// // Emit one final block per group; annotate count if > 1
-			// for (const g of groups) {
-			// 	const repIndex = g.indexList[0];
-			// 	const count = g.indexList.length;
-			// 	const child = items[repIndex].child;
-			// 	const childSel = items[repIndex].sel;
-			// 	// Build override texts when collapsing duplicates: one text per occurrence
-			// 	let childOverrideTexts = null;
-			// 	if (count > 1) {
-			// 		childOverrideTexts = g.indexList.map((idx) => {
-			// 			const nd = items[idx].child;
-			// 			const t = primaryTextFor(nd);
-			// 			return t || "";
-			// 		});
-			// 	}
-			// 	// [ts] Argument of type 'string[] | null' is not assignable to parameter of type 'string[] | undefined'.
-			// 	// Type 'null' is not assignable to type 'string[] | undefined'.
-			// 	let childFinal = renderFinal(child, depth + 1, pathSelectors.concat(childSel), childOverrideTexts);
-			// 	if (count > 1) {
-			// 		childFinal = childFinal.replace(/\{/, "{ /** " + count + " times */");
-			// 	}
-			// 	block += childFinal;
-			// }
-
-			// Close current block
-			block += opts.indent.repeat(depth) + "}\n";
-			return block;
-		};
+	/**
+	 * Attach a submenu to a menu item. setSubmenu is not in the public API; without it, the
+	 * submenu's items are collected into one list per menu, which {@link _showMenu} offers in a
+	 * single "Actions…" entry. Nested calls on collected items collect into the same list.
+	 * @private
+	 * @param {MenuItem} item
+	 * @param {import("obsidian").Menu} [menu] The item's menu, which collects the actions.
+	 * @param {string} [title] Label of the item, prefixed to its actions' titles.
+	 * @returns {import("obsidian").Menu | null} Null for a nested submenu that cannot be shown.
+	 */
+	_submenuFor(item, menu, title = "") {
+		// @ts-ignore (setSubmenu is not in the public API)
+		if (typeof item.setSubmenu === "function") return item.setSubmenu();
+		if (!menu) return null;
+		/** @type {WeakMap<import("obsidian").Menu, MenuAction[]>} */
+		const byMenu = this._menuActions || (this._menuActions = new WeakMap());
+		let actions = byMenu.get(menu);
+		if (!actions) byMenu.set(menu, actions = []);
+		return /** @type {any} */ (new SubmenuActions(title + " › ", actions));
+	}
 
-		// Kick off
-		const rootSel = selectorFor(root);
-		let out = renderFinal(root, 0, [rootSel]);
+	/**
+	 * Capture an element's CSS tree to the clipboard or snippet and record it in the history.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link _chooseCss}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @param {OutputTarget} [target] Defaults to the outputTarget setting.
+	 * @param {OutputFormat} [format] Defaults to the outputFormat setting.
+	 * @param {boolean} [redact] Defaults to the redactOutput setting.
+	 */
+	async _captureCss(el, target, format, redact) {
+		const opts = Object.assign(this._cssOptions(), target ? { target } : {}, format ? { format } : {},
+			redact === undefined ? {} : { redact: redact ? this._redactFields() : null });
+		const render = await this._css(el, opts);
+		if (render) this._recordCapture("css", el, render.text, undefined, render.format, render.redact);
+	}
 
-		if (truncated) out += "/* truncated: reached maxNodes limit */\n";
+	/**
+	 * What choosing an element for CSS does: open the preview, or capture right away when the
+	 * preview is turned off or Alt/Option is held.
+	 * ### Callers
+	 * - {@link _openMenuForCss}
+	 * - {@link _openExplorer}
+	 * @private
+	 * @param {HTMLElement} el
+	 * @param {MouseEvent | KeyboardEvent} evt
+	 */
+	_chooseCss(el, evt) {
+		if (!this.settings.previewBeforeCopy || evt.altKey) this._captureCss(el);
+		else this._openCssPreview(el);
+	}
 
-		const ok = await this._copyText(out);
-		try { this._withNotice(ok ? "Nested CSS copied" : "Copy failed", ok ? 5000 : 10000); } catch (e) { if (this._debug) console.error(e); }
-		if (!ok && this._debug) console.log(out);
-		return out;
+	/**
+	 * Send the paths from an ancestor down to an element and record them in the history.
+	 * ### Callers
+	 * - {@link _openMenuForPath}
+	 * - {@link _openExplorer}
+	 * @private
+	 * @param {HTMLElement} ancestorEl
+	 * @param {HTMLElement} targetEl
+	 * @param {OutputTarget} [target] Defaults to the outputTarget setting.
+	 * @param {string} [unique] Shortest unique selector of targetEl, when already built.
+	 * @param {boolean} [redact] Defaults to the redactOutput setting.
+	 */
+	async _capturePath(ancestorEl, targetEl, target, unique, redact = this.settings.redactOutput) {
+		const fields = redact ? this._redactFields() : null;
+		let text = this._pathText(ancestorEl, targetEl, (target || this.settings.outputTarget) === "snippet", unique);
+		// match counts above are taken with the real selectors
+		if (fields) text = redactSelectors(text, fields, (v) => this._isVaultPath(v));
+		const ok = await this._output(text, "Path", target, this._labelFor(targetEl, 3, true, fields));
+		if (ok) this._recordCapture("path", targetEl, text, ancestorEl, undefined, fields);
 	}
-	// #endregion __Plugin_core
 
-	// #region __Plugin_menus
 	/**
 	 * Show ancestor menu that copies nested CSS for the chosen ancestor subtree.
 	 * ### Callers
@@ -758,7 +6227,7 @@ module.exports = class ElementSnatchCssPlugin extends Plugin {
 	 * @param {HTMLElement} originalTargetEl
 	 */
 	_openMenuForCss(targetEl, mouseEvt, originalTargetEl) {
-		const chain = this._buildAncestry(targetEl, document.body);
+		const chain = this._buildAncestry(targetEl);
 		if (!chain.length) return;
 
 		const menu = new Menu();
@@ -766,7 +6235,7 @@ module.exports = class ElementSnatchCssPlugin extends Plugin {
 		/** @param {import("obsidian").MenuItem} item */
 		menu.addItem((item) => {
 			try {
-				item.setTitle("📸 CSS menu (Ctrl+Middle)");
+				item.setTitle("📸 CSS menu (" + this._describeTrigger(this.settings.cssTrigger) + ")");
 				item.setIcon("code");
 			} catch (err) {
 				console.error("[element-snatch-css] addItem failed", err);
@@ -778,29 +6247,79 @@ module.exports = class ElementSnatchCssPlugin extends Plugin {
 		for (const el of chain) {
 			menu.addItem((item) => {
 				try {
-					const label = this._labelFor(el, 3, true);
+					const label = this._chainLabelFor(el);
 					item.setTitle(label);
 					item.setIcon?.("chevrons-right");
 
 					// Safe tooltip build
 					let tip = "";
 					try {
-						const _pathsForTip = this._buildPathsBetween(el, originalTargetEl, { includeNthChild: false });
-						tip = _pathsForTip.child.replace(/\s+/g, ' ').replace(/>/g, '\n>').trim();
+						const _pathsForTip = this._buildPathsBetween(el, originalTargetEl, this._selectorOptions());
+						tip = this._labelTooltip(el) + "\n\n" + _pathsForTip.child.replace(/\s+/g, ' ').replace(/>/g, '\n>').trim();
 					} catch (e) {
 						if (this._debug) console.warn("[element-snatch-css] tooltip build failed", e);
 					}
 
-					item.onClick(async () => {
+					/** @type {(target?: OutputTarget, format?: OutputFormat, redact?: boolean) => Promise<void>} */
+					const copyCss = async (target, format, redact) => {
 						clearAll();
-						await this._css(el, {
-							includeNthChild: false,
-							indent: "\t",
-							maxDepth: Infinity,
-							maxNodes: 5000
-						});
+						await this._captureCss(el, target, format, redact);
+					};
+					item.onClick((evt) => {
+						clearAll();
+						this._chooseCss(el, evt);
 					});
 
+					const sub = this._submenuFor(item, menu, label);
+					if (sub) {
+						sub.addItem((i) => i.setTitle("Preview and options").setIcon("eye").onClick(() => {
+							clearAll();
+							this._openCssPreview(el);
+						}));
+						sub.addItem((i) => i.setTitle("Copy nested CSS").setIcon("code").onClick(() => copyCss("clipboard", "nested")));
+						sub.addItem((i) => {
+							i.setTitle("Copy as").setIcon("file-output");
+							const formats = this._submenuFor(i);
+							if (!formats) return;
+							for (const [key, f] of Object.entries(FORMATTERS)) {
+								formats.addItem((fi) => fi.setTitle(f.name)
+									.setChecked(key === this.settings.outputFormat)
+									.onClick(() => copyCss("clipboard", /** @type {OutputFormat} */ (key))));
+							}
+						});
+						sub.addItem((i) => i.setTitle("Copy redacted").setIcon("eye-off").onClick(() => copyCss("clipboard", undefined, true)));
+						sub.addItem((i) => {
+							i.setTitle("Copy as link").setIcon("link");
+							const links = this._submenuFor(i);
+							if (!links) return;
+							links.addItem((li) => li.setTitle("Highlight").onClick(() => {
+								clearAll();
+								this._copyLink("highlight", el);
+							}));
+							links.addItem((li) => li.setTitle("Capture CSS").onClick(() => {
+								clearAll();
+								this._copyLink("css", el);
+							}));
+						});
+						sub.addItem((i) => i.setTitle("Save nested CSS to snippet").setIcon("file-code").onClick(() => copyCss("snippet")));
+						sub.addItem((i) => i.setTitle("Variables").setIcon("palette").onClick(() => {
+							clearAll();
+							this._showVariables(el);
+						}));
+						sub.addItem((i) => i.setTitle("Matched rules").setIcon("list-tree").onClick(() => {
+							clearAll();
+							this._showMatchedRules(el);
+						}));
+						sub.addItem((i) => i.setTitle("Save structure snapshot").setIcon("camera").onClick(() => {
+							clearAll();
+							this._saveSnapshot(el);
+						}));
+						sub.addItem((i) => i.setTitle("Explore children and siblings").setIcon("folder-tree").onClick(() => {
+							clearAll();
+							this._openExplorer(el, originalTargetEl);
+						}));
+					}
+
 					// @ts-ignore
 					const dom = item.dom; // || item.domEl || item._dom || item.buttonEl || item.containerEl;
 					if (dom) {
@@ -816,26 +6335,7 @@ module.exports = class ElementSnatchCssPlugin extends Plugin {
 			});
 		}
 
-		if (typeof menu.showAtMouseEvent === "function") {
-			menu.showAtMouseEvent(mouseEvt);
-		} else if (typeof menu.showAtPosition === "function") {
-			menu.showAtPosition({ x: mouseEvt.clientX, y: mouseEvt.clientY });
-		} else {
-			menu.showAtPosition({ x: window.innerWidth / 2, y: window.innerHeight / 2 });
-		}
-
-		// Cleanup highlights when the menu disappears
-		setTimeout(() => {
-			const menuEl = document.querySelector(".menu");
-			if (!menuEl) return;
-			const obs = new MutationObserver(() => {
-				if (!document.body.contains(menuEl)) {
-					try { obs.disconnect(); } catch (e) { if (this._debug) console.error(e); }
-					clearAll();
-				}
-			});
-			obs.observe(document.body, { childList: true, subtree: true });
-		}, 0);
+		this._showMenu(menu, mouseEvt, this._hostWindow(targetEl.ownerDocument), clearAll);
 	}
 
 	/**
@@ -848,69 +6348,112 @@ module.exports = class ElementSnatchCssPlugin extends Plugin {
 	 * @param {HTMLElement} originalTargetEl
 	 */
 	_openMenuForPath(targetEl, mouseEvt, originalTargetEl) {
-		const chain = this._buildAncestry(targetEl, document.body);
+		const chain = this._buildAncestry(targetEl);
 		if (!chain.length) return;
 
 		const menu = new Menu();
 		// Title label (enabled no-op so themes don't hide disabled items)
 		menu.addItem((item) => {
-			item.setTitle("🛣️ Path menu (Ctrl+Shift+Middle)");
+			item.setTitle("🛣️ Path menu (" + this._describeTrigger(this.settings.pathTrigger) + ")");
 			//item.setIcon("path");
 			//item.setDisabled(true);
 			// const _dom = item.dom || item.domEl || item._dom || item.buttonEl || item.containerEl;
 			// if (_dom) { _dom.classList.add('esc-menu-title'); _dom.setAttribute('aria-disabled','true'); }
 		});
 		const clearAll = () => { chain.forEach((n) => this._highlight(n, false)); this._disposeHighlighter(); };
+		/** @type {(n: number) => string} */
+		const matchNote = (n) => n < 0 ? "invalid" : n === 1 ? "1 match" : n + " matches";
+		/** @type {string | null} */
+		let unique = null;
+		const uniqueSel = () => unique == null ? (unique = this._uniqueSelectorFor(originalTargetEl)) : unique;
 
 		for (const el of chain) {
-			const label = this._labelFor(el, 3, true);
+			const label = this._chainLabelFor(el);
 			menu.addItem((item) => {
 				item.setTitle(label);
 				item.setIcon("chevrons-right");
-				item.onClick(async () => {
+				/** @type {(target?: OutputTarget, redact?: boolean) => Promise<void>} */
+				const copyPath = async (target, redact) => {
 					clearAll();
-					const paths = this._buildPathsBetween(el, originalTargetEl, { includeNthChild: false });
-					const text = paths.descendant + '\n' + paths.child + '\n';
-					const ok = await this._copyText(text);
-					try { this._withNotice(ok ? "Path copied" : "Copy failed", ok ? 5000 : 10000); } catch (e) { if (this._debug) console.error(e); }
-					if (!ok && this._debug) console.log(text);
-				});
+					await this._capturePath(el, originalTargetEl, target, uniqueSel(), redact);
+				};
+				item.onClick(() => copyPath());
+
+				const sub = this._submenuFor(item, menu, label);
+				if (sub) {
+					sub.addItem((i) => i.setTitle("Copy path").setIcon("route").onClick(() => copyPath("clipboard")));
+					sub.addItem((i) => i.setTitle("Copy redacted").setIcon("eye-off").onClick(() => copyPath("clipboard", true)));
+					sub.addItem((i) => {
+						i.setTitle("Copy as link").setIcon("link");
+						const links = this._submenuFor(i);
+						if (!links) return;
+						links.addItem((li) => li.setTitle("Highlight").onClick(() => {
+							clearAll();
+							this._copyLink("highlight", originalTargetEl);
+						}));
+						links.addItem((li) => li.setTitle("Capture path").onClick(() => {
+							clearAll();
+							this._copyLink("path", originalTargetEl, el);
+						}));
+					});
+					sub.addItem((i) => i.setTitle("Save path rule to snippet").setIcon("file-code").onClick(() => copyPath("snippet")));
+					sub.addItem((i) => i.setTitle("Variables").setIcon("palette").onClick(() => {
+						clearAll();
+						this._showVariables(el);
+					}));
+					sub.addItem((i) => i.setTitle("Matched rules").setIcon("list-tree").onClick(() => {
+						clearAll();
+						this._showMatchedRules(el);
+					}));
+					sub.addItem((i) => i.setTitle("Explore children and siblings").setIcon("folder-tree").onClick(() => {
+						clearAll();
+						this._openExplorer(el, originalTargetEl);
+					}));
+				}
 
 				// @ts-ignore
 				const dom = item?.dom; // || item.domEl || item._dom || item.buttonEl || item.containerEl;
 				if (dom) {
-					const _pathsForTip = this._buildPathsBetween(el, originalTargetEl, { includeNthChild: false });
+					const _pathsForTip = this._buildPathsBetween(el, originalTargetEl, this._selectorOptions());
 					const desc = _pathsForTip.descendant.replace(/\s+/g, ' ').replace(/ /g, ' \n').trim();
 					const child = _pathsForTip.child.replace(/\s+/g, ' ').replace(/ >/g, ' \n>').trim();
-					dom.setAttribute("title", ("== CSS SELECTORS ==\n\nDescendant form:\n" + desc + "\n\n" + "Child form:\n" + child));
+					const root = /** @type {Document | ShadowRoot} */ (el.getRootNode());
+					const descCount = matchNote(this._countMatches(_pathsForTip.descendant, root));
+					const childCount = matchNote(this._countMatches(_pathsForTip.child, root));
+					dom.setAttribute("title", (this._labelTooltip(el) + "\n\n== CSS SELECTORS ==\n\nDescendant form (" + descCount + "):\n" + desc + "\n\n" + "Child form (" + childCount + "):\n" + child
+						+ "\n\nShortest unique:\n" + uniqueSel()));
 					dom.addEventListener("mouseenter", () => this._highlight(el, true));
 					dom.addEventListener("mouseleave", () => this._highlight(el, false));
 				}
 			});
 		}
 
-		if (typeof menu.showAtMouseEvent === "function") {
-			menu.showAtMouseEvent(mouseEvt);
-		} else if (typeof menu.showAtPosition === "function") {
-			menu.showAtPosition({ x: mouseEvt.clientX, y: mouseEvt.clientY });
-		} else {
-			menu.showAtPosition({ x: window.innerWidth / 2, y: window.innerHeight / 2 });
-		}
-
-		// Cleanup highlights when the menu disappears
-		setTimeout(() => {
-			const menuEl = document.querySelector(".menu");
-			if (!menuEl) return;
-			const obs = new MutationObserver(() => {
-				if (!document.body.contains(menuEl)) {
-					try { obs.disconnect(); } catch (e) { if (this._debug) console.error(e); }
-					clearAll();
-				}
-			});
-			obs.observe(document.body, { childList: true, subtree: true });
-		}, 0);
+		this._showMenu(menu, mouseEvt, this._hostWindow(targetEl.ownerDocument), clearAll);
 	}
 	// #endregion __Plugin_menus
 
 };
 // #endregion __Plugin
+
+
+// #region __Exports
+// Pure helpers for the unit tests in test/; Obsidian only uses the plugin class.
+module.exports.helpers = {
+	FORMATTERS,
+	quoteCss,
+	markdownCode,
+	markdownText,
+	commentSafe,
+	describeModifiers,
+	redactText,
+	redactPath,
+	redactAttribute,
+	redactName,
+	redactContent,
+	redactSelectors,
+	redactTree,
+	selectorAuditNote,
+	requiredClasses,
+	auditTestSelector
+};
+// #endregion __Exports
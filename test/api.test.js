@@ -0,0 +1,13 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setDom, createPlugin } = require("./support");
+
+test("query and highlight return no elements for an invalid selector", async () => {
+	setDom('<div class="a"></div>');
+	const plugin = await createPlugin();
+	const api = plugin._createApi();
+	assert.equal(api.query(".a").length, 1);
+	assert.deepEqual(api.query(".a["), []);
+	assert.deepEqual(api.highlight("div:::x"), []);
+});
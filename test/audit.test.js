@@ -0,0 +1,40 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { helpers } = require("./support");
+const { selectorAuditNote, requiredClasses, auditTestSelector } = helpers;
+
+/**
+ * @param {string} selector
+ * @param {number} count
+ * @param {string[]} [missing]
+ * @returns {any}
+ */
+const entry = (selector, count, missing = []) => ({ source: "snippet: a.css", file: ".obsidian/snippets/a.css", line: 3, selector, count, missing });
+
+test("requiredClasses skips strings, attribute selectors and :not()", () => {
+	assert.deepEqual(requiredClasses('.a .b:not(.c) [title=".d"]::before'), ["a", "b"]);
+	assert.deepEqual(requiredClasses('.a[data-x="y.z"] .a'), ["a"]);
+});
+
+test("auditTestSelector ignores states and pseudo-elements", () => {
+	assert.equal(auditTestSelector(".a:hover::after"), ".a:is(*)");
+	assert.equal(auditTestSelector("::selection"), "*");
+});
+
+test("the audit note sorts selectors into sections", () => {
+	const note = selectorAuditNote([
+		entry(".gone", 0, ["gone"]),
+		entry(".a .b", 0),
+		entry(".everywhere", 500),
+		entry(".x >>> .y", -1),
+		entry(".fine", 2),
+		entry(".co`de", 0, ["co"])
+	], { files: ["a.css"], windows: 1, broad: 100, link: (e) => e.file + ":" + e.line });
+	assert.match(note, /^# Selector audit\n/);
+	assert.match(note, /^2 with missing classes, 1 matching nothing, 1 broad, 1 invalid\.$/m);
+	assert.match(note, /## Classes missing from the DOM\n\n.*\n\n- `\.gone` — \.obsidian\/snippets\/a\.css:3 — missing \.gone\n/);
+	assert.match(note, /^- `` \.co`de `` — /m);
+	assert.match(note, /^- `\.everywhere` — .* — 500 elements$/m);
+	assert.ok(!note.includes(".fine"));
+});
@@ -0,0 +1,104 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { helpers, setDom, createPlugin } = require("./support");
+const { FORMATTERS } = helpers;
+
+/**
+ * A SnatchNode with empty defaults.
+ * @param {Partial<any>} fields
+ * @returns {any}
+ */
+function node(fields) {
+	return Object.assign({
+		selector: "", path: [], boundary: "", tag: "div", id: "", classes: [], attributes: {}, texts: [],
+		states: "", computed: [], pseudos: [], interactions: [], variants: [], count: 1, children: []
+	}, fields);
+}
+
+const tree = node({
+	selector: ".list",
+	path: [".list"],
+	classes: ["list"],
+	children: [node({
+		selector: ".item",
+		path: [".list", ".item"],
+		classes: ["item"],
+		texts: ["Say \"hi\""],
+		count: 3,
+		pseudos: [["::before", '"•"']]
+	})]
+});
+
+test("nested CSS nests children and quotes text", () => {
+	const out = FORMATTERS.nested.format(tree, { indent: "\t", truncated: false });
+	assert.equal(out, [
+		".list {",
+		"\tcontent: \".list\";",
+		"\tcontent: \".list\";",
+		"\tcontent: \"\";",
+		"\t.item { /** 3 times */",
+		"\t\tcontent: \".list .item\";",
+		"\t\tcontent: \".list > .item\";",
+		"\t\tcontent: \"Say \\\"hi\\\"\";",
+		"\t\t&::before {",
+		"\t\t\tcontent: \"•\";",
+		"\t\t}",
+		"\t}",
+		"}",
+		""
+	].join("\n"));
+});
+
+test("scaffolds comment out every content declaration", () => {
+	for (const key of /** @type {const} */ (["nested", "flat"])) {
+		const out = FORMATTERS[key].format(tree, { indent: "  ", truncated: false, scaffold: true });
+		assert.ok(!/^\s*content:/m.test(out), key + " has no live content declaration");
+		assert.match(out, /\/\* content: "•"; \*\//);
+	}
+});
+
+test("flat CSS writes one rule per element with its child path", () => {
+	const out = FORMATTERS.flat.format(tree, { indent: "  ", truncated: true });
+	assert.match(out, /^\.list > \.item \{ \/\*\* 3 times \*\/$/m);
+	assert.match(out, /^\.list > \.item::before \{$/m);
+	assert.match(out, /\/\* truncated: reached maxNodes limit \*\/\n$/);
+});
+
+test("each line is owned by its node", () => {
+	for (const formatter of Object.values(FORMATTERS)) {
+		/** @type {any[]} */
+		const owners = [];
+		const out = formatter.format(tree, { indent: "  ", truncated: false, owners });
+		assert.equal(owners.length, out.split("\n").length - 1, formatter.name);
+	}
+});
+
+test("the JSON tree parses and keeps counts", () => {
+	const json = JSON.parse(FORMATTERS.json.format(tree, { indent: "  ", truncated: false }));
+	assert.equal(json.selector, ".list");
+	assert.equal(json.children[0].count, 3);
+	assert.deepEqual(json.children[0].pseudo, { "::before": '"•"' });
+});
+
+test("fuzzy grouping notes a state class only some siblings have as a variant", async () => {
+	setDom('<ul class="list">' + '<li class="item">a</li>'.repeat(5) + '<li class="item is-active">b</li></ul>');
+	const plugin = await createPlugin();
+	const ul = /** @type {HTMLElement} */ (document.querySelector("ul"));
+	const render = await plugin._renderCss(ul, Object.assign(plugin._cssOptions(), { siblingGrouping: "fuzzy", format: "nested" }));
+	assert.match(render.text, /^\s*\/\* variant ×1: \.is-active \*\/$/m);
+	assert.equal(render.tree.children.length, 1);
+	assert.equal(render.tree.children[0].count, 6);
+});
+
+test("the Markdown outline keeps selectors in code spans and escapes text", () => {
+	const out = FORMATTERS.markdown.format(node({
+		selector: '[title="a`b"]',
+		texts: ["# *bold* [link](x) <b>"],
+		states: "is_active",
+		pseudos: [["::before", '"`"']]
+	}), { indent: "  ", truncated: false });
+	assert.equal(out, '- `` [title="a`b"] `` — "\\# \\*bold\\* \\[link\\](x) \\<b\\>" _(state: is\\_active)_ `::before` `` "`" ``\n');
+	assert.equal(helpers.markdownCode("a``b"), "``` a``b ```");
+	assert.equal(helpers.markdownCode(".x"), "`.x`");
+});
@@ -0,0 +1,25 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPlugin } = require("./support");
+
+test("a history.json from an earlier version moves into plugin data", async () => {
+	const plugin = await createPlugin();
+	/** @type {Map<string, string>} */
+	const files = new Map([[".obsidian/plugins/element-snatch-css/history.json", JSON.stringify([{ id: "a", time: 1, mode: "css", selector: ".x", label: "x", text: "", pinned: false }])]]);
+	/** @type {any} */
+	let saved = null;
+	plugin.app.vault = {
+		configDir: ".obsidian",
+		adapter: {
+			exists: async (/** @type {string} */ p) => files.has(p),
+			read: async (/** @type {string} */ p) => files.get(p),
+			remove: async (/** @type {string} */ p) => { files.delete(p); }
+		}
+	};
+	plugin.saveData = async (/** @type {any} */ data) => { saved = data; };
+	await plugin.loadSettings();
+	assert.deepEqual(plugin.history.map((/** @type {any} */ e) => e.id), ["a"]);
+	assert.deepEqual(saved.history.map((/** @type {any} */ e) => e.id), ["a"]);
+	assert.equal(files.size, 0);
+});
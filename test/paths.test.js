@@ -0,0 +1,29 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { helpers, setDom, createPlugin } = require("./support");
+
+test("commentSafe keeps a comment closed", () => {
+	assert.equal(helpers.commentSafe(".host /* ::shadow */ .inner"), ".host (::shadow) .inner");
+	assert.equal(helpers.commentSafe("frame /* iframe */ body"), "frame (iframe) body");
+	assert.equal(helpers.commentSafe('[title="a*/b"]'), '[title="a* /b"]');
+});
+
+test("a snippet path rule crossing a shadow root is one comment and one rule", async () => {
+	const dom = setDom('<div class="host"></div>');
+	const host = /** @type {HTMLElement} */ (document.querySelector(".host"));
+	const shadow = host.attachShadow({ mode: "open" });
+	shadow.innerHTML = '<div class="panel"><span class="inner">x</span></div>';
+	const plugin = await createPlugin();
+	const inner = /** @type {HTMLElement} */ (shadow.querySelector(".inner"));
+	const text = plugin._pathText(document.body, inner, true);
+	assert.match(text, /\(::shadow\)/);
+	const comment = text.slice(0, text.indexOf("*/") + 2);
+	assert.ok(!comment.slice(2).includes("/*"), "no nested comment opens inside the header");
+	const style = dom.window.document.createElement("style");
+	style.textContent = text;
+	dom.window.document.head.appendChild(style);
+	const rules = /** @type {CSSStyleSheet} */ (style.sheet).cssRules;
+	assert.equal(rules.length, 1);
+	assert.match(/** @type {CSSStyleRule} */ (rules[0]).selectorText, /\.inner$/);
+});
@@ -0,0 +1,95 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { helpers, setDom, createPlugin } = require("./support");
+const { redactText, redactPath, redactAttribute, redactSelectors, redactName, redactContent, redactTree } = helpers;
+
+const all = { text: true, paths: true, labels: true, bodies: true };
+const notVault = () => false;
+
+test("redactText keeps only the kind and length", () => {
+	assert.equal(redactText("Meeting notes"), "<text 13ch>");
+	assert.equal(redactText("12.5 %"), "<number 6ch>");
+	assert.equal(redactText(""), "<text 0ch>");
+});
+
+test("redactPath hides folder and file names but keeps the shape", () => {
+	const out = redactPath("Projects/Secret plan.md");
+	assert.match(out, /^<[0-9a-f]{6}>\/<[0-9a-f]{6}>\.md$/);
+	assert.ok(!out.includes("Projects") && !out.includes("Secret"));
+	assert.equal(redactPath("Projects/Secret plan.md"), out, "equal paths redact equally");
+	assert.notEqual(redactPath("Projects/Other.md"), out);
+	assert.match(redactPath("app://local/Notes/a.png"), /^app:\/\/<[0-9a-f]{6}>\/<[0-9a-f]{6}>\/<[0-9a-f]{6}>\.png$/);
+});
+
+test("redactPath hashes differ between salts", () => {
+	assert.equal(redactPath("Diary/2024.md", "s1"), redactPath("Diary/2024.md", "s1"));
+	assert.notEqual(redactPath("Diary/2024.md", "s1"), redactPath("Diary/2024.md", "s2"));
+	assert.notEqual(redactPath("Diary/2024.md", "s1"), redactPath("Diary/2024.md"));
+});
+
+test("redactName hides ids and classes that name notes", () => {
+	const isNote = (/** @type {string} */ v) => v === "Secret plan.md";
+	assert.match(redactName("Secret plan", all, isNote), /^redacted-[0-9a-f]{6}$/);
+	assert.equal(redactName("nav-file", all, isNote), "nav-file");
+	assert.equal(redactName("My heading", Object.assign({}, all, { paths: false }), notVault), "label-10ch");
+});
+
+test("redactContent redacts the strings of generated content", () => {
+	assert.equal(redactContent('"Todo" counter(n) " done"'), '"<text 4ch>" counter(n) "<text 5ch>"');
+	assert.equal(redactContent('""'), '""');
+	assert.equal(redactContent("attr(data-x)"), "attr(data-x)");
+});
+
+test("redactAttribute follows the fields", () => {
+	assert.equal(redactAttribute("aria-label", "My note", all, notVault), "<label 7ch>");
+	assert.equal(redactAttribute("aria-label", "My note", Object.assign({}, all, { labels: false }), notVault), "My note");
+	assert.match(redactAttribute("data-path", "Notes/Todo.md", all, notVault), /^<[0-9a-f]{6}>\/<[0-9a-f]{6}>\.md$/);
+	assert.match(redactAttribute("data-foo", "Todo.md", all, (v) => v === "Todo.md"), /^<[0-9a-f]{6}>\.md$/);
+	assert.equal(redactAttribute("data-type", "markdown", all, notVault), "markdown");
+});
+
+test("redactSelectors only rewrites attribute selector values", () => {
+	const text = '.nav-file-title[data-path="Notes/Todo.md"] > .nav-file-title-content /* 1 match */\n';
+	const out = redactSelectors(text, all, notVault);
+	assert.match(out, /^\.nav-file-title\[data-path="<[0-9a-f]{6}>\/<[0-9a-f]{6}>\.md"\] > \.nav-file-title-content \/\* 1 match \*\/\n$/);
+	assert.equal(redactSelectors('[data-type="markdown"]', all, notVault), '[data-type="markdown"]');
+	assert.match(redactSelectors('[data-path^="Notes/"]', all, notVault), /^\[data-path\^="<[0-9a-f]{6}>\/"\]$/);
+});
+
+test("redactSelectors redacts ids and classes but not comments", () => {
+	const isNote = (/** @type {string} */ v) => v === "Plan.md" || v === "2024 plan.md";
+	assert.match(redactSelectors("div#Plan > .x", all, isNote), /^div#redacted-[0-9a-f]{6} > \.x$/);
+	assert.match(redactSelectors("#\\32 024\\ plan .x", all, isNote), /^#redacted-[0-9a-f]{6} \.x$/);
+	assert.equal(redactSelectors(".a /* Plan.md */", all, isNote), ".a /* Plan.md */");
+});
+
+test("redactTree covers ids, classes and pseudo-element content", () => {
+	const isNote = (/** @type {string} */ v) => v === "Plan.md";
+	const node = /** @type {any} */ ({
+		selector: "#Plan.Plan", path: ["#Plan.Plan"], boundary: "", tag: "div", id: "Plan", classes: ["Plan", "row"],
+		attributes: { "aria-label": "Plan" }, texts: [], states: "", computed: [], interactions: [], variants: [], count: 1, children: [],
+		pseudos: [["::before", '"Plan"'], ["::placeholder", '"Type here"']]
+	});
+	redactTree(node, all, isNote);
+	assert.match(node.selector, /^#redacted-[0-9a-f]{6}\.redacted-[0-9a-f]{6}$/);
+	assert.match(node.id, /^redacted-/);
+	assert.deepEqual(node.classes.slice(1), ["row"]);
+	assert.equal(node.attributes["aria-label"], "<label 4ch>");
+	assert.deepEqual(node.pseudos, [["::before", '"<text 4ch>"'], ["::placeholder", '"<label 9ch>"']]);
+});
+
+test("a redacted capture is stored with redacted selectors and label", async () => {
+	setDom('<div class="Plan" data-path="Plan.md"><span class="inner">x</span></div>');
+	const plugin = await createPlugin();
+	plugin._isVaultPath = (/** @type {string} */ v) => v === "Plan.md";
+	plugin._saveHistory = async () => { };
+	const el = /** @type {HTMLElement} */ (document.querySelector(".Plan"));
+	plugin._recordCapture("path", el.firstElementChild, "out", el, undefined, plugin._redactFields());
+	const [entry] = plugin.history;
+	assert.ok(entry.redacted);
+	assert.ok(!entry.rootSelector.includes("Plan") && !entry.label.includes("Plan"));
+	plugin._recordCapture("css", el.firstElementChild, "out");
+	assert.equal(plugin.history[1].selector, ".inner");
+	assert.equal(plugin.history[1].redacted, undefined);
+});
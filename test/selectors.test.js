@@ -0,0 +1,30 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setDom, createPlugin } = require("./support");
+
+test("the shortest unique selector of the most stable tier wins", async () => {
+	setDom(
+		'<div class="workspace-leaf-content-wrapper"><span data-type="file-explorer-view-with-a-long-name" class="nav x">a</span></div>'
+		+ '<div class="nav"><span data-type="b" class="nav">b</span></div>'
+	);
+	const plugin = await createPlugin();
+	const [first, second] = Array.from(document.querySelectorAll("span"));
+	// both attributes are unique; the data-* tier wins over the shorter class .x
+	assert.equal(plugin._uniqueSelectorFor(first), '[data-type="file-explorer-view-with-a-long-name"]');
+	assert.equal(plugin._uniqueSelectorFor(second), '[data-type="b"]');
+});
+
+test("among unique classes the shortest is picked, not the rarest first", async () => {
+	setDom('<p class="a-very-long-rare-class-name ab">x</p><i class="ab2"></i><b class="a-very-long-rare-class-name-2"></b>');
+	const plugin = await createPlugin();
+	assert.equal(plugin._uniqueSelectorFor(/** @type {HTMLElement} */ (document.querySelector("p"))), ".ab");
+});
+
+test("ancestor pairs are compared by length across levels", async () => {
+	setDom('<section class="outer-wrapper-section"><div class="o"><div class="mid"><em class="t">1</em></div></div></section><div class="mid"><em class="t">2</em></div>');
+	const plugin = await createPlugin();
+	const em = /** @type {HTMLElement} */ (document.querySelector("em"));
+	assert.equal(plugin._uniqueSelectorFor(em), ".o .t");
+	assert.equal(document.querySelectorAll(plugin._uniqueSelectorFor(em)).length, 1);
+});
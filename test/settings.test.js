@@ -0,0 +1,11 @@
+// @ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { helpers } = require("./support");
+const { describeModifiers } = helpers;
+
+test("describeModifiers names the keys in a fixed order", () => {
+	assert.equal(describeModifiers({ mod: true, shift: true, alt: false }), "Ctrl+Shift");
+	assert.equal(describeModifiers({ mod: false, shift: false, alt: true }), "Alt");
+	assert.equal(describeModifiers({ mod: false, shift: false, alt: false }), "");
+});
@@ -0,0 +1,78 @@
+// @ts-check
+// Loads main.js outside Obsidian: the "obsidian" and "electron" modules are stubbed and a jsdom
+// window provides the DOM. Not a test file itself.
+const Module = require("module");
+const { JSDOM } = require("jsdom");
+
+/** Just enough of the obsidian module for main.js to load and the plugin to be constructed. */
+const obsidian = {
+	Plugin: class {
+		/**
+		 * @param {any} app
+		 * @param {any} manifest
+		 */
+		constructor(app, manifest) { this.app = app; this.manifest = manifest; }
+		async loadData() { return null; }
+		async saveData() { }
+	},
+	PluginSettingTab: class { },
+	Setting: class { },
+	Modal: class { },
+	FuzzySuggestModal: class { setPlaceholder() { } },
+	ItemView: class { },
+	Menu: class { },
+	Notice: class { hide() { } },
+	Platform: { isMacOS: false },
+	apiVersion: "test",
+	/** @param {string} p */
+	normalizePath: (p) => p,
+	setIcon() { },
+	/** @param {(...args: any[]) => any} f */
+	debounce: (f) => Object.assign((/** @type {any[]} */ ...args) => f(...args), { cancel() { } })
+};
+
+const moduleLoader = /** @type {any} */ (Module);
+const load = moduleLoader._load;
+/**
+ * @param {string} request
+ * @param {...any} rest
+ */
+moduleLoader._load = function (request, ...rest) {
+	if (request === "obsidian") return obsidian;
+	if (request === "electron") return {};
+	return load.call(this, request, ...rest);
+};
+
+/**
+ * Point the DOM globals main.js uses at a fresh jsdom window with html as the body.
+ * @param {string} [html]
+ * @returns {JSDOM}
+ */
+function setDom(html = "") {
+	const dom = new JSDOM("<!doctype html><html><head></head><body>" + html + "</body></html>", { pretendToBeVisual: true });
+	const g = /** @type {any} */ (globalThis);
+	for (const key of ["window", "document", "Node", "Element", "HTMLElement", "ShadowRoot", "MouseEvent", "KeyboardEvent", "getComputedStyle"]) {
+		Object.defineProperty(g, key, { value: dom.window[/** @type {any} */ (key)], configurable: true, writable: true });
+	}
+	g.activeDocument = dom.window.document;
+	return dom;
+}
+
+setDom();
+const Plugin = require("../main.js");
+
+/**
+ * A plugin instance with default settings, not loaded into Obsidian. Pseudo-elements are off
+ * since jsdom cannot compute their styles.
+ * @returns {Promise<any>}
+ */
+async function createPlugin() {
+	const app = /** @type {any} */ ({ workspace: { trigger() { }, getLeavesOfType: () => [] } });
+	const plugin = /** @type {any} */ (new Plugin(app, /** @type {any} */ ({ id: "element-snatch-css" })));
+	await plugin.loadSettings();
+	plugin.settings.pseudoElements = false;
+	plugin._withNotice = () => { };
+	return plugin;
+}
+
+module.exports = { helpers: Plugin.helpers, setDom, createPlugin };